@@ -0,0 +1,236 @@
+// mockChatServer.mjs
+// Local chat backend for development and tests: streams generateReply
+// (src/mockReplies.js) word by word over all three network transports in
+// src/chatTransport.js. No dependencies; needs Node 20.19+ to import the
+// ESM source directly:
+//
+//   npm run mock-server
+//   REACT_APP_CHAT_TRANSPORT=sse REACT_APP_CHAT_URL=http://localhost:8787/chat/sse npm start
+//
+//   POST /chat       chunked text/plain
+//   POST /chat/sse   text/event-stream: data: {"token"} ... data: [DONE]
+//   GET  /chat/ws    WebSocket: send { messages }, receive { type: "token" | "done" | "error" }
+//
+// A user message containing "/fail" makes the reply fail, to try error handling.
+// PORT, FIRST_TOKEN_DELAY and TOKEN_DELAY (ms) are read from the environment.
+
+import http from "node:http";
+import crypto from "node:crypto";
+import { generateReply, tokenize } from "../src/mockReplies.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const FIRST_TOKEN_DELAY = Number(process.env.FIRST_TOKEN_DELAY ?? 1500);
+const TOKEN_DELAY = Number(process.env.TOKEN_DELAY ?? 60);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ========================================
+// ========== REPLIES ====================
+// ========================================
+
+// Stream the reply to `messages` through send(token); stops once isOpen() is false.
+// Throws for "/fail" messages after the thinking delay.
+async function streamReply(messages, send, isOpen) {
+  const last = [...(messages || [])].reverse().find((m) => m.role === "user")?.text || "";
+  await sleep(FIRST_TOKEN_DELAY);
+  if (last.includes("/fail")) throw new Error("Mock failure requested");
+
+  for (const token of tokenize(generateReply(last))) {
+    if (!isOpen()) return;
+    send(token);
+    await sleep(TOKEN_DELAY);
+  }
+}
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept",
+};
+
+const readJson = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+// ========================================
+// ========== HTTP STREAMING =============
+// ========================================
+
+async function handleText(req, res) {
+  const { messages } = await readJson(req);
+  let open = true;
+  res.on("close", () => (open = false));
+  let started = false;
+
+  try {
+    await streamReply(
+      messages,
+      (token) => {
+        if (!started) res.writeHead(200, { ...CORS_HEADERS, "Content-Type": "text/plain; charset=utf-8" });
+        started = true;
+        res.write(token);
+      },
+      () => open
+    );
+    if (!started) res.writeHead(200, { ...CORS_HEADERS, "Content-Type": "text/plain; charset=utf-8" });
+    res.end();
+  } catch (err) {
+    // Headers are only sent with the first token, so a failure can still be a 500
+    if (!started) res.writeHead(500, { ...CORS_HEADERS, "Content-Type": "text/plain; charset=utf-8" });
+    res.end(started ? "" : err.message);
+  }
+}
+
+async function handleSse(req, res) {
+  const { messages } = await readJson(req);
+  let open = true;
+  res.on("close", () => (open = false));
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  try {
+    await streamReply(messages, (token) => res.write(`data: ${JSON.stringify({ token })}\n\n`), () => open);
+    res.end("data: [DONE]\n\n");
+  } catch (err) {
+    res.end(`event: error\ndata: ${JSON.stringify(err.message)}\n\n`);
+  }
+}
+
+// ========================================
+// ========== WEBSOCKET ==================
+// ========================================
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Server-to-client frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    // 64-bit length as two 32-bit halves
+    header = Buffer.alloc(10);
+    header.writeUInt32BE(Math.floor(length / 2 ** 32), 2);
+    header.writeUInt32BE(length % 2 ** 32, 6);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of `buffer`; returns { frames, rest }
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = buffer[offset + 1] & 0x80;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = buffer.readUInt32BE(cursor) * 2 ** 32 + buffer.readUInt32BE(cursor + 4);
+      cursor += 8;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = buffer.subarray(cursor, cursor + maskLength);
+    const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+    if (masked) payload.forEach((byte, i) => (payload[i] = byte ^ mask[i % 4]));
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (new URL(req.url, "http://localhost").pathname !== "/chat/ws" || !key) {
+    socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  let open = true;
+  let buffer = Buffer.alloc(0);
+  const send = (frame) => open && socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(frame))));
+  const close = () => {
+    if (!open) return;
+    open = false;
+    socket.end(encodeFrame(0x8));
+  };
+  socket.on("close", () => (open = false));
+  socket.on("error", () => (open = false));
+
+  socket.on("data", (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+    buffer = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x8) close();
+      else if (opcode === 0x9) socket.write(encodeFrame(0xa, payload));
+      else if (opcode === 0x1) {
+        let messages;
+        try {
+          ({ messages } = JSON.parse(payload.toString("utf8")));
+        } catch {
+          send({ type: "error", message: "Expected JSON { messages }" });
+          return;
+        }
+        streamReply(messages, (token) => send({ type: "token", token }), () => open)
+          .then(() => send({ type: "done" }))
+          .catch((err) => send({ type: "error", message: err.message }));
+      }
+    });
+  });
+}
+
+// ========================================
+// ========== SERVER =====================
+// ========================================
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+  } else if (req.method === "POST" && pathname === "/chat") {
+    handleText(req, res);
+  } else if (req.method === "POST" && pathname === "/chat/sse") {
+    handleSse(req, res);
+  } else {
+    res.writeHead(404, CORS_HEADERS);
+    res.end("Not found");
+  }
+});
+
+server.on("upgrade", handleUpgrade);
+server.listen(PORT, () => {
+  console.log(`[MockChat] Listening on http://localhost:${PORT} (/chat, /chat/sse, /chat/ws)`);
+});
@@ -1,151 +1,179 @@
-import React, { useRef, useEffect, useState } from "react";
-import Astro from "./Astro";
-import ChatMock from "./ChatMock";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import ChatPanel from "./ChatPanel";
+import RiveInputControls from "./RiveInputControls";
+import { createAstroCoordinator } from "./astroCoordinator";
+import { AstroConfigProvider } from "./AstroConfigProvider";
+import { RIVE_RENDERERS } from "./riveRenderers";
+import { astroClock } from "./clock";
+import { ASTRO_SIZE, RIVE_VARIANTS } from "./astroConfig";
+import { createChatTransport } from "./chatTransport";
+import demoFlow from "./tours/demoFlow.json";
+
+// Chat backend: the in-browser mock unless REACT_APP_CHAT_TRANSPORT ("fetch",
+// "sse" or "websocket") and REACT_APP_CHAT_URL point at a server, e.g. `npm run mock-server`
+const CHAT_TRANSPORT = createChatTransport({
+  type: process.env.REACT_APP_CHAT_TRANSPORT || "mock",
+  url: process.env.REACT_APP_CHAT_URL,
+});
+
+// Time scales for design review (slow motion) and quick run-throughs
+const TIME_SCALES = [0.25, 1, 10];
+
+// The reader's hide/mute choices survive reloads
+const PREFERENCES_KEY = "astro-preferences";
+
+function loadPreferences() {
+  try {
+    return { hidden: false, muted: false, ...JSON.parse(localStorage.getItem(PREFERENCES_KEY)) };
+  } catch {
+    return { hidden: false, muted: false };
+  }
+}
 
 export default function App() {
+  // The controls below drive the main (left) Astro
   const astroRef = useRef(null);
-  const [isFirstFocus, setIsFirstFocus] = useState(true);
+  const secondAstroRef = useRef(null);
+  const tourRef = useRef(null);
+  const [coordinator] = useState(createAstroCoordinator);
+  const [split, setSplit] = useState(false);
+  const [preferences, setPreferences] = useState(loadPreferences);
+  // Force a renderer further down the fallback chain to preview it
+  const [renderer, setRenderer] = useState("auto");
+  const rendererConfig = useMemo(() => ({ renderer }), [renderer]);
+  // Every Astro on the page runs on the shared clock (see clock.js)
+  const [timeScale, setTimeScale] = useState(astroClock.getTimeScale);
+  const [paused, setPaused] = useState(astroClock.isPaused);
 
-  // ========== LIFECYCLE HANDLERS ==========
-  
-  // Simulate chat opening
-  const handleChatOpen = () => {
-    astroRef.current?.onChatOpen();
-  };
+  useEffect(() => {
+    localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+  }, [preferences]);
 
-  // Simulate first input focus
-  const handleFirstInputFocus = () => {
-    // Using left side of where input would be positioned
-    // In production, this would be the actual input field position
-    const x = window.innerWidth / 2 - 300; // Left side of centered chat
-    const y = window.innerHeight - 150; // Near bottom for chat input
-    astroRef.current?.onFirstInputFocus(x, y);
-  };
+  // Fetch every character variant up front so switching is instant
+  useEffect(() => {
+    astroRef.current?.preloadVariants().catch((err) => console.warn("[Demo] Variant preload failed:", err.message));
+  }, []);
 
-  // Simulate user sending message
-  const handleUserSendsMessage = () => {
-    // Example AI message position (left side of chat)
-    const x = 300;
-    const y = window.innerHeight / 2;
-    astroRef.current?.onUserSendsMessage(x, y);
-  };
+  const togglePreference = (key) => setPreferences((prev) => ({ ...prev, [key]: !prev[key] }));
 
-  // Simulate AI ready signal
-  const handleAIReady = () => {
-    astroRef.current?.onAIMessageReady();
+  const handleTimeScale = (scale) => {
+    astroClock.setTimeScale(scale);
+    setTimeScale(scale);
   };
 
-  // Simulate AI message shown
-  const handleAIMessageShown = () => {
-    // Return to chat box position (top-left of input)
-    const x = window.innerWidth / 2 - 300; // Left side of centered chat
-    const y = window.innerHeight - 150;
-    astroRef.current?.onAIMessageShown(x, y);
+  const togglePaused = () => {
+    if (astroClock.isPaused()) astroClock.resume();
+    else astroClock.pause();
+    setPaused(astroClock.isPaused());
   };
 
-  // Simulate complete flow
-  const handleCompleteFlow = async () => {
-    console.log("[Demo] Starting complete chat flow simulation");
-    
-    // 1. Open chat
-    handleChatOpen();
-    await new Promise(r => setTimeout(r, 2000));
-    
-    // 2. First focus
-    handleFirstInputFocus();
-    await new Promise(r => setTimeout(r, 1500));
-    
-    // 3. Send message
-    handleUserSendsMessage();
-    await new Promise(r => setTimeout(r, 2000));
-    
-    // 4. AI ready
-    handleAIReady();
-    await new Promise(r => setTimeout(r, 1500));
-    
-    // 5. Show message and return
-    handleAIMessageShown();
-    
-    console.log("[Demo] Complete flow finished");
+  // Stepping pauses the clock
+  const handleStep = () => {
+    astroClock.step();
+    setPaused(true);
   };
 
-  // ========== CHAT INTEGRATION ==========
-  
-  // Handle first focus from real chat input
-  const handleChatInputFocus = (rect) => {
-    if (isFirstFocus && rect) {
-      const x = rect.left;  // Left edge of input field
-      const y = rect.top;   // Top edge of input field
-      astroRef.current?.onFirstInputFocus(x, y);
-      setIsFirstFocus(false);
-    }
-  };
+  // ========== DEMO TOUR ==========
+  // The complete chat flow lives in tours/demoFlow.json and plays through
+  // Astro's choreography runner (see choreography.js)
 
-  // Handle message send from chat
-  const handleChatMessageSent = (aiMessageRect) => {
-    if (aiMessageRect) {
-      const x = aiMessageRect.left;
-      const y = aiMessageRect.top + aiMessageRect.height / 2;
-      astroRef.current?.onUserSendsMessage(x, y);
-    }
-  };
+  const handlePlayTour = () => {
+    tourRef.current?.cancel();
+    console.log("[Demo] Starting complete chat flow simulation");
 
-  // Handle AI ready (simulate delay)
-  const handleChatAIReady = () => {
-    astroRef.current?.onAIMessageReady();
-  };
+    const tour = astroRef.current?.play(demoFlow, {
+      onStep: (index, step) => console.log(`[Demo] Step ${index + 1}/${demoFlow.steps.length}:`, step.type),
+    });
+    tourRef.current = tour;
 
-  // Handle AI message shown
-  const handleChatAIShown = (chatBoxRect) => {
-    if (chatBoxRect) {
-      const x = chatBoxRect.left;  // Left edge of input field
-      const y = chatBoxRect.top;   // Top edge of input field
-      astroRef.current?.onAIMessageShown(x, y);
-    }
+    tour?.finished
+      .then(() => console.log("[Demo] Complete flow finished"))
+      .catch((err) => {
+        // Cancelled or superseded animations, or a rejected lifecycle transition
+        console.warn("[Demo] Complete flow interrupted:", err.reason || err.message);
+      })
+      .finally(() => {
+        if (tourRef.current === tour) tourRef.current = null;
+      });
   };
 
-  // Handle typing tracking
-  const handleChatTyping = (caretX, caretY) => {
-    if (typeof caretX === 'number' && typeof caretY === 'number') {
-      astroRef.current?.onUserTyping(caretX, caretY);
-    }
-  };
+  // ========== SPLIT VIEW ==========
+  // A second chat with its own Astro; the coordinator keeps the two apart
+  // and flies one into the other on hand-off
 
-  // Auto-trigger chat open on mount
-  useEffect(() => {
-    // Wait a moment for everything to load
-    setTimeout(() => {
-      handleChatOpen();
-    }, 500);
-  }, []);
+  const handleHandOff = (fromId, toId) => {
+    coordinator.handOff(fromId, toId).catch((err) => {
+      console.warn("[Demo] Hand-off interrupted:", err.reason || err.message);
+    });
+  };
 
   return (
     <div className="app">
-      {/* Astro floats above UI, never intercepts clicks */}
-      <Astro ref={astroRef} />
-
       <div className="ui-root" data-ui-root>
         <header className="app-header">
           <div className="brand">
             <span className="dot" /> Astro Demo - Complete Integration Example
           </div>
+          {/* Reader-facing Astro preferences */}
+          <div className="controls">
+            <button aria-pressed={preferences.hidden} onClick={() => togglePreference("hidden")}>
+              Hide Astro
+            </button>
+            <button aria-pressed={preferences.muted} onClick={() => togglePreference("muted")}>
+              Mute Astro
+            </button>
+          </div>
         </header>
 
         <div className="main-layout">
-          {/* Chat Interface */}
-          <main className="chat-layout">
-            <ChatMock
-              onInputFocus={handleChatInputFocus}
-              onUserSendsMessage={handleChatMessageSent}
-              onAIReady={handleChatAIReady}
-              onAIMessageShown={handleChatAIShown}
-              onTyping={handleChatTyping}
-              astroRef={astroRef}
-            />
-          </main>
+          {/* Chat Interface - each panel's Astro floats above the UI */}
+          <AstroConfigProvider config={rendererConfig}>
+            <main className={split ? "chat-layout split" : "chat-layout"}>
+              <ChatPanel
+                id="main"
+                astroRef={astroRef}
+                coordinator={coordinator}
+                split={split}
+                transport={CHAT_TRANSPORT}
+                {...preferences}
+              />
+              {split && (
+                <ChatPanel
+                  id="second"
+                  astroRef={secondAstroRef}
+                  coordinator={coordinator}
+                  zIndex={ASTRO_SIZE.Z_INDEX + 3}
+                  split
+                  transport={CHAT_TRANSPORT}
+                  {...preferences}
+                />
+              )}
+            </main>
+          </AstroConfigProvider>
 
           {/* Control Panel - Right Side */}
           <aside className="control-panel">
+            {/* Demo Tour Section */}
+            <div className="control-section">
+              <h3>🎬 Demo Tour</h3>
+              <div className="button-stack">
+                <button className="flow-button" onClick={handlePlayTour}>Play Complete Flow</button>
+                <button onClick={() => tourRef.current?.pause()}>Pause</button>
+                <button onClick={() => tourRef.current?.resume()}>Resume</button>
+                <button onClick={() => tourRef.current?.cancel()}>Stop</button>
+              </div>
+            </div>
+
+            {/* Split View Section */}
+            <div className="control-section">
+              <h3>👥 Split View</h3>
+              <div className="button-stack">
+                <button onClick={() => setSplit((s) => !s)}>{split ? "Single Chat" : "Split View"}</button>
+                <button onClick={() => handleHandOff("main", "second")} disabled={!split}>Hand Off →</button>
+                <button onClick={() => handleHandOff("second", "main")} disabled={!split}>← Hand Back</button>
+              </div>
+            </div>
+
             {/* Rive State Controls Section */}
             <div className="control-section">
               <h3>✨ Rive States</h3>
@@ -159,10 +187,82 @@ export default function App() {
                 <button onClick={() => astroRef.current?.triggerUndo()}>Undo</button>
                 <button onClick={() => astroRef.current?.triggerIdeaSpark()}>Idea Spark</button>
                 <button onClick={() => astroRef.current?.triggerBoredom()}>Boredom</button>
+                <button onClick={() => astroRef.current?.sleep()}>Sleep</button>
                 <button onClick={() => astroRef.current?.triggerShrink()}>Shrink</button>
               </div>
             </div>
-            
+
+            {/* Character Variant Section */}
+            <div className="control-section">
+              <h3>🪐 Variant</h3>
+              <div className="button-stack">
+                {Object.keys(RIVE_VARIANTS).map((variant) => (
+                  <button key={variant} onClick={() => astroRef.current?.setVariant(variant).catch(() => {})}>
+                    {variant[0].toUpperCase() + variant.slice(1)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Renderer Section */}
+            <div className="control-section">
+              <h3>🖥️ Renderer</h3>
+              <div className="button-stack">
+                {["auto", ...RIVE_RENDERERS].map((name) => (
+                  <button key={name} aria-pressed={name === renderer} onClick={() => setRenderer(name)}>
+                    {name[0].toUpperCase() + name.slice(1)}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* Time Section */}
+            <div className="control-section">
+              <h3>⏱️ Time</h3>
+              <div className="button-stack">
+                {TIME_SCALES.map((scale) => (
+                  <button key={scale} aria-pressed={scale === timeScale} onClick={() => handleTimeScale(scale)}>
+                    {scale}x
+                  </button>
+                ))}
+                <button aria-pressed={paused} onClick={togglePaused}>
+                  {paused ? "Resume" : "Pause"}
+                </button>
+                <button onClick={handleStep}>Step 1 Frame</button>
+              </div>
+            </div>
+
+            {/* Every input of the loaded Rive file */}
+            <div className="control-section">
+              <h3>🧩 Rive Inputs</h3>
+              <RiveInputControls astroRef={astroRef} />
+            </div>
+
+            {/* Gaze Controls Section */}
+            <div className="control-section">
+              <h3>👀 Gaze</h3>
+              <div className="button-stack">
+                <button onClick={() => astroRef.current?.lookAtElement(document.querySelector(".composer button"))}>
+                  Glance at Send
+                </button>
+                <button onClick={(e) => astroRef.current?.followElement(e.currentTarget)}>Follow This Button</button>
+                <button onClick={() => astroRef.current?.resetGaze()}>Reset Gaze</button>
+              </div>
+            </div>
+
+            {/* Mood Controls Section */}
+            <div className="control-section">
+              <h3>🎭 Moods</h3>
+              <div className="button-stack">
+                {["thinking", "excited", "success", "confused", "error"].map((mood) => (
+                  <button key={mood} onClick={() => astroRef.current?.setMood(mood)}>
+                    {mood[0].toUpperCase() + mood.slice(1)}
+                  </button>
+                ))}
+                <button onClick={() => astroRef.current?.clearMood()}>Calm</button>
+              </div>
+            </div>
+
             {/* Color Controls Section */}
             <div className="control-section">
               <h3>🎨 Astro Colors</h3>
@@ -171,6 +271,24 @@ export default function App() {
                 <button onClick={() => astroRef.current?.changeAstroColor('pink')} style={{ background: '#F58A90', color: 'white' }}>Pink</button>
                 <button onClick={() => astroRef.current?.changeAstroColor('purple')} style={{ background: '#A872F6', color: 'white' }}>Purple</button>
                 <button onClick={() => astroRef.current?.changeAstroColor('black')} style={{ background: '#000000', color: 'white' }}>Black</button>
+                <button
+                  onClick={() => astroRef.current?.changeAstroColor({ body: "hsl(330 90% 65%)", trailEnd: "#FFB400" })}
+                  style={{ background: "linear-gradient(90deg, hsl(330 90% 65%), #FFB400)", color: "white" }}
+                >
+                  Sunset Gradient
+                </button>
+                <input
+                  type="color"
+                  aria-label="Custom Astro color"
+                  defaultValue="#3AA0FF"
+                  onChange={(e) => astroRef.current?.changeAstroColor(e.target.value, { duration: 150 })}
+                />
+                <button onClick={() => astroRef.current?.followCssVariable("--astro-accent")}>
+                  Follow --astro-accent
+                </button>
+                <button onClick={() => astroRef.current?.followColorScheme({ light: "#3AA0FF", dark: "#8AB4FF" })}>
+                  Follow Dark Mode
+                </button>
               </div>
             </div>
           </aside>
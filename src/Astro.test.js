@@ -0,0 +1,124 @@
+import React, { act, createRef } from "react";
+import Astro from "./Astro";
+import { RIVE_FILE, RIVE_VARIANTS } from "./astroConfig";
+import { configureFakeRive, fakeRiveInstances, lastFakeRive } from "./testing/fakeRive";
+import { flushPromises, render } from "./testing/helpers";
+
+// The runtime loads with a dynamic import and the fake file on a promise
+const waitForLoad = () => act(() => flushPromises());
+
+let view;
+
+afterEach(() => {
+  view?.unmount();
+  view = null;
+});
+
+describe("<Astro>", () => {
+  it("loads the Rive file with the best renderer and binds its inputs", async () => {
+    const ref = createRef();
+    const onReady = jest.fn();
+    const onRendererChange = jest.fn();
+    view = render(<Astro ref={ref} onReady={onReady} onRendererChange={onRendererChange} />);
+    await waitForLoad();
+
+    expect(ref.current.getRenderer()).toBe("webgl2");
+    expect(onRendererChange).toHaveBeenCalledWith({ renderer: "webgl2", previous: null });
+    expect(lastFakeRive().src).toBe(RIVE_FILE);
+    expect(onReady).toHaveBeenCalledTimes(1);
+    expect(ref.current.getRiveDiagnostics().ok).toBe(true);
+  });
+
+  it("fires triggers on the loaded file through the ref", async () => {
+    const ref = createRef();
+    view = render(<Astro ref={ref} />);
+    await waitForLoad();
+
+    await act(() => ref.current.triggerPulse());
+    expect(lastFakeRive().fired).toContain("Pulse");
+  });
+
+  it("swaps the Rive file when the variant changes", async () => {
+    const ref = createRef();
+    const config = { timing: { ASSET_SWAP_DURATION: 0 } };
+    view = render(<Astro ref={ref} config={config} />);
+    await waitForLoad();
+
+    view.rerender(<Astro ref={ref} config={config} variant="classic" />);
+    await waitForLoad();
+    await act(() => new Promise((resolve) => setTimeout(resolve, 0))); // Old layer removed after the fade
+
+    expect(fakeRiveInstances.map((rive) => rive.src)).toEqual([RIVE_FILE, RIVE_VARIANTS.classic.src]);
+    expect(fakeRiveInstances[0].cleanedUp).toBe(true);
+    expect(ref.current.getRiveAsset().variant).toBe("classic");
+  });
+
+  it("reports files that fail to load", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const error = new Error("404");
+    configureFakeRive({ loadError: error });
+    const onRiveLoadError = jest.fn();
+    view = render(<Astro onRiveLoadError={onRiveLoadError} />);
+    await waitForLoad();
+
+    expect(onRiveLoadError).toHaveBeenCalledWith({ src: RIVE_FILE, error });
+    expect(warn).toHaveBeenCalledWith("[Astro] Rive failed to load with webgl2, falling back to webgl:", error);
+  });
+
+  it("falls back down the renderer chain when the file fails to load", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const error = new Error("wasm failed");
+    configureFakeRive({ loadError: error });
+    const ref = createRef();
+    const onRendererChange = jest.fn();
+    const onRiveLoadError = jest.fn();
+    view = render(<Astro ref={ref} onRendererChange={onRendererChange} onRiveLoadError={onRiveLoadError} />);
+    for (let i = 0; i < 4; i++) await waitForLoad();
+
+    expect(onRendererChange.mock.calls.map(([{ renderer }]) => renderer)).toEqual([
+      "webgl2",
+      "webgl",
+      "placeholder", // No 2D canvas in jsdom
+    ]);
+    expect(fakeRiveInstances).toHaveLength(2);
+    expect(ref.current.getRenderer()).toBe("placeholder");
+    expect(view.container.querySelector("svg.astro-placeholder")).not.toBeNull();
+    expect(onRiveLoadError).toHaveBeenCalledWith({ src: RIVE_FILE, error });
+    expect(warn).toHaveBeenCalledWith("[Astro] Rive failed to load with webgl2, falling back to webgl:", error);
+    expect(warn).toHaveBeenCalledWith("[Astro] Rive failed to load with webgl, falling back to placeholder:", error);
+  });
+
+  it("falls back after a renderer change when the file fails to load", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const ref = createRef();
+    const onRiveLoadError = jest.fn();
+    view = render(<Astro ref={ref} onRiveLoadError={onRiveLoadError} />);
+    await waitForLoad();
+
+    const error = new Error("wasm failed");
+    configureFakeRive({ loadError: error });
+    view.rerender(<Astro ref={ref} onRiveLoadError={onRiveLoadError} config={{ renderer: "webgl" }} />);
+    for (let i = 0; i < 3; i++) await waitForLoad();
+
+    expect(ref.current.getRenderer()).toBe("placeholder");
+    expect(view.container.querySelector("svg.astro-placeholder")).not.toBeNull();
+    expect(warn).toHaveBeenCalledWith("[Astro] Rive failed to load with webgl, falling back to placeholder:", error);
+    expect(onRiveLoadError).toHaveBeenCalledWith({ src: RIVE_FILE, error });
+  });
+
+  it("draws the SVG placeholder without a Rive runtime", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const ref = createRef();
+    view = render(<Astro ref={ref} config={{ renderer: "placeholder" }} />);
+    await waitForLoad();
+
+    expect(fakeRiveInstances).toHaveLength(0);
+    expect(view.container.querySelector("svg.astro-placeholder")).not.toBeNull();
+    expect(ref.current.getRenderer()).toBe("placeholder");
+    expect(ref.current.getRiveDiagnostics().ok).toBe(true);
+    expect(warn).toHaveBeenCalledWith("[Astro] WebGL2 unavailable, rendering with placeholder (no glow feathering)");
+  });
+});
@@ -0,0 +1,24 @@
+// AstroConfigProvider.js
+// Share config overrides with every <Astro> below the provider. Nested
+// providers deep-merge onto their parent, and an Astro's own `config` prop
+// merges on top of both:
+//
+//   <AstroConfigProvider config={{ timing: { TRAVEL_DURATION: 800 } }}>
+//     <Astro config={{ colors: { brand: { r: 0, g: 120, b: 255 } } }} />
+//   </AstroConfigProvider>
+
+import React, { createContext, useContext, useMemo } from "react";
+import { mergeConfig } from "./astroConfig";
+
+const AstroConfigContext = createContext({});
+
+export function AstroConfigProvider({ config, children }) {
+  const parent = useContext(AstroConfigContext);
+  const value = useMemo(() => mergeConfig(parent, config), [parent, config]);
+  return <AstroConfigContext.Provider value={value}>{children}</AstroConfigContext.Provider>;
+}
+
+// Overrides collected from the surrounding providers (not yet validated)
+export function useAstroConfig() {
+  return useContext(AstroConfigContext);
+}
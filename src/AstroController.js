@@ -0,0 +1,1984 @@
+// AstroController.js
+// Framework-agnostic Astro: owns the animation queue, lifecycle machine,
+// timers (blink, boredom, typing, eye smoothing), layout tracking and the
+// Rive input bindings. The React component (Astro.js) and mountAstro.js are
+// thin shells that create the DOM elements and the Rive instance and hand
+// them to a controller:
+//
+//   const astro = new AstroController({ width: 90, height: 90, config: { timing: { ... } } });
+//   astro.attach({ wrapper, trailCanvas }); // or { wrapper, leadDot, trailDots }
+//   astro.bindRive(rive); // once the Rive file has loaded
+//   astro.onChatOpen();
+
+import {
+  RIVE_INPUT_TYPES,
+  ANIMATION_CONFIG,
+  LOGICAL_POSITIONS,
+  ASTRO_SIZE,
+  ASTRO_EVENTS,
+  resolveConfig,
+} from "./astroConfig";
+import { isElement, resolveAnchorPoint, trackAnchor } from "./anchoring";
+import { trackLayout } from "./layoutTracking";
+import { subscribeFocus, subscribePointer } from "./pointerTracking";
+import { trackCaret } from "./caretTracking";
+import { ASTRO_LIFECYCLE, LIFECYCLE_EVENTS, createStateMachine } from "./lifecycleMachine";
+import { createEmitter } from "./emitter";
+import { AnimationCancelledError, CANCEL_REASONS, handled } from "./errors";
+import { runChoreography } from "./choreography";
+import { astroClock } from "./clock";
+import { buildTravelPath, createSeededRandom } from "./travelPaths";
+import { createCanvasTrail, createDomTrail, resolveTrailRenderer } from "./trailRenderer";
+import { announce, prefersReducedMotion, subscribeReducedMotion } from "./accessibility";
+import { createMoodEngine, detectMood } from "./moods";
+import { GAZE_PRIORITY, elementCenter, gazeToEyes } from "./gaze";
+import { createIdleScheduler } from "./idleBehavior";
+import { isSameRiveAsset, preloadRiveFile, resolveRiveAsset } from "./riveAssets";
+import { bindRiveInputs, describeRiveInputs, formatRiveDiagnostics, riveInputType } from "./riveInputs";
+import {
+  getRegisteredTheme,
+  getThemeNames,
+  mixThemes,
+  prefersDarkScheme,
+  resolveColor,
+  resolveTheme,
+  subscribeColorScheme,
+  toCssColor,
+} from "./themes";
+
+// RIVE_STATES keys that are fired as triggers (see fireRiveTrigger)
+const RIVE_TRIGGERS = Object.keys(RIVE_INPUT_TYPES).filter((key) => RIVE_INPUT_TYPES[key] === "trigger");
+
+// Rive triggers played on arrival, by moveToPosition endState
+const END_STATE_TRIGGERS = {
+  pulse: "PULSE",
+  idle: "IDLE",
+  "small-loader": "SMALL_LOADER",
+};
+
+// ========================================
+// ========== HELPER FUNCTIONS ===========
+// ========================================
+
+// Calculate relative mouse position based on Astro's position on screen
+// (0-100 eye inputs for Rive); options.range / options.curve as in gaze.js
+export function calculateRelativeMousePosition(mouseX, mouseY, astroX, astroY, options) {
+  return gazeToEyes({ x: mouseX, y: mouseY }, { x: astroX, y: astroY }, options);
+}
+
+// Inline styles for the elements a host renders for Astro (React style
+// objects; plain DOM hosts can Object.assign them onto element.style)
+export function getAstroElementStyles({
+  width = ASTRO_SIZE.WIDTH,
+  height = ASTRO_SIZE.HEIGHT,
+  zIndex = ASTRO_SIZE.Z_INDEX,
+  animation = ANIMATION_CONFIG,
+} = {}) {
+  const dot = {
+    position: "fixed",
+    left: 0,
+    top: 0,
+    width: animation.DOT_SIZE,
+    height: animation.DOT_SIZE,
+    borderRadius: "50%",
+    background: animation.DOT_COLOR,
+    pointerEvents: "none",
+    opacity: 0,
+    transition: "opacity 120ms ease",
+  };
+
+  return {
+    // Lead dot for movement animation
+    leadDot: { ...dot, zIndex },
+    // Trail dots for movement effect
+    trailDot: {
+      ...dot,
+      zIndex: zIndex - 1,
+      filter: animation.TRAIL_BLUR ? `blur(${animation.TRAIL_BLUR}px)` : "none",
+    },
+    // Full-viewport canvas for the canvas trail (replaces the dots)
+    trailCanvas: {
+      position: "fixed",
+      left: 0,
+      top: 0,
+      width: "100vw",
+      height: "100vh",
+      zIndex,
+      pointerEvents: "none",
+    },
+    // Rive character container
+    wrapper: {
+      position: "fixed",
+      left: 0,
+      top: 0,
+      width,
+      height,
+      zIndex: zIndex - 2,
+      pointerEvents: "auto", // Enable mouse interactions for hover states
+      opacity: 1,
+      transition: "opacity 80ms linear",
+      transform: "translate3d(0,0,0)",
+    },
+  };
+}
+
+// ========================================
+// ========== CONTROLLER =================
+// ========================================
+
+export class AstroController {
+  // options.id:                 name used by an AstroCoordinator (see astroCoordinator.js)
+  // options.width / height:     size of the character (in pixels)
+  // options.initialX / initialY: starting center, defaults to off-screen right
+  // options.viewport:           element that viewport-relative positions (TOP_MIDDLE...)
+  //                             resolve against, e.g. a chat panel; defaults to the window
+  // options.lifecycle:          state machine definition (see lifecycleMachine.js)
+  // options.config:             overrides for DEFAULT_CONFIG (see astroConfig.js)
+  // options.asset:              config.variants name or { src, stateMachine } to start
+  //                             with, defaults to config.riveFile / stateMachineName
+  // options.onEvent(type, detail): called after every emitted event, lets
+  //                             hosts mirror events (e.g. as React props)
+  // options.clock:              timers, frames and Web Animations run on it (see
+  //                             clock.js); defaults to the shared astroClock
+  // options.random():           0-1 random source, overrides config.seed
+  constructor(options = {}) {
+    this.config = resolveConfig(options.config);
+    this.clock = options.clock || astroClock;
+    this.customRandom = options.random || null;
+    this.random = this.createRandom();
+    this.pathRandom = this.createPathRandom();
+    this.viewport = options.viewport || null;
+    const offScreen = this.resolvePosition("OFF_SCREEN_RIGHT");
+    const {
+      id = "astro",
+      width = ASTRO_SIZE.WIDTH,
+      height = ASTRO_SIZE.HEIGHT,
+      initialX = offScreen.x,
+      initialY = offScreen.y,
+      lifecycle = ASTRO_LIFECYCLE,
+      onEvent,
+    } = options;
+
+    this.id = id;
+    this.width = width;
+    this.height = height;
+    this.center = { x: initialX, y: initialY };
+    this.onEvent = onEvent;
+    this.coordinator = null; // Set by AstroCoordinator.register
+
+    // DOM elements (see attach) and Rive bindings (see bindRive)
+    this.elements = { wrapper: null, leadDot: null, trailDots: [], trailCanvas: null };
+    this.trail = null; // Canvas or DOM trail renderer (see attachTrail)
+    this.flight = null; // { trail, heading } while a cancelled move's dot waits mid-air
+    this.rive = null;
+    this.inputs = {}; // Expected inputs by RIVE_STATES / RIVE_INPUTS key, null when missing
+    this.riveInputList = []; // Every input of the state machine (see getRiveInputs)
+    this.riveDiagnostics = null; // How it matched the expected inputs (see riveInputs.js)
+    this.riveAsset = resolveRiveAsset(options.asset, this.config) || resolveRiveAsset(null, this.config);
+    this.assetSwap = null; // { asset, resolve, reject } until the host loads a new asset
+    this.renderer = null; // Renderer the host draws Rive with (see setRenderer)
+
+    // Visual and interaction state
+    this.visible = true;     // Hidden by the host (e.g. after a hand-off)
+    this.riveHidden = false; // Hidden while travelling as a trail
+    this.hidden = false;     // Hidden by the user (see setHidden)
+    this.muted = false;      // Announcements silenced by the user (see setMuted)
+    this.systemReducedMotion = prefersReducedMotion();
+    this.theme = null;       // Current (possibly mid-tween) theme colors, null = config colors
+    this.colorTween = null;  // { frame, reject } while changeAstroColor tweens
+    this.themeStop = null;   // Stops followCssVariable / followColorScheme
+    this.isTyping = false;
+    this.isBored = false;
+    this.heldInputs = new Set(); // Boolean Rive inputs a mood keeps on (see playMood)
+    this.currentEyePos = { x: 50, y: 50 };
+    this.targetEyePos = { x: 50, y: 50 };
+    this.gazeTarget = null;  // { resolve, priority, follow } set through lookAt / followElement
+    this.lastPointer = null; // Last pointer or keyboard focus position, where the eyes return after a gaze target
+
+    // Animation queue
+    this.animationQueue = [];
+    this.isAnimating = false;
+    this.currentAnimation = null;
+    this.animationDebounce = null;
+    this.animationOwner = null; // Tags animations queued inside withAnimationOwner
+
+    // Layout
+    this.resting = null;
+    this.anchorStop = null;
+    this.layoutStop = null;
+
+    this.timers = { typing: null, eyeDelay: null, blink: null, relayout: null, stateTimeout: null, gaze: null };
+    this.eyeFrame = null;
+    this.eyeStepAt = null; // Clock time of the last eye frame
+    this.pointerStop = null;
+    this.focusStop = null;
+    this.caretStops = new Set(); // Stops for inputs registered with trackInput
+    this.motionStop = null;
+    this.riveStateWaiters = [];
+    this.emitter = createEmitter();
+    this.moods = createMoodEngine({
+      getMoods: () => this.config.moods,
+      react: (mood, definition, intensity) => this.playMood(mood, definition, intensity),
+      release: (mood, definition) => this.releaseMood(definition),
+      onChange: (detail) => this.emit("moodChange", detail),
+      clock: this.clock,
+    });
+    this.idle = createIdleScheduler({
+      getConfig: () => this.config,
+      canAct: () => this.canPlayAmbient(),
+      perform: (name, action) => this.playAmbient(name, action),
+      onStage: (stage, previous) => this.handleIdleStage(stage, previous),
+      clock: this.clock,
+      random: () => this.random(),
+    });
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handleFocus = this.handleFocus.bind(this);
+    this.scheduleRelayout = this.scheduleRelayout.bind(this);
+
+    this.lifecycle = lifecycle;
+    this.logicalTargets = {}; // Last element or x/y each logical position was reached with
+    this.machine = createStateMachine(lifecycle, {
+      now: () => this.clock.now(),
+      guards: {
+        hasTarget: (target) =>
+          isElement(target?.x) || (typeof target?.x === "number" && typeof target?.y === "number"),
+      },
+      actions: {
+        move: (action, target) => this.moveToLogicalPosition(action, target),
+        trigger: (action) => this.fireRiveTrigger(action.input),
+        shake: (action) => this.shake({ input: action.input }),
+        mood: (action) => {
+          this.setMood(action.mood, { intensity: action.intensity, source: "lifecycle" });
+        },
+      },
+      onTransition: ({ from, to, event, payload }) => {
+        console.log(`[Astro] State: ${from} → ${to} (${event})`);
+        this.emit("stateChange", { from, to, event });
+        if (event === LIFECYCLE_EVENTS.AI_MESSAGE_ERROR) this.emit("aiError", { reason: payload?.reason ?? "error" });
+        this.announceState(to);
+        this.armStateTimeout(to);
+        // Lifecycle moves and reactions wake Astro up
+        this.setBoredomState(false, true);
+      },
+      onReject: ({ state, event, reason }) => {
+        console.warn(`[Astro] Ignored ${event} in state "${state}" (${reason})`);
+      },
+    });
+  }
+
+  // ========================================
+  // ========== HOST INTEGRATION ===========
+  // ========================================
+
+  // Take over the host's elements and start following layout changes.
+  // Pass a trailCanvas for the canvas trail, or leadDot/trailDots for the
+  // DOM trail (see attachTrail)
+  attach({ wrapper, leadDot, trailDots, trailCanvas }) {
+    this.detach();
+    this.elements.wrapper = wrapper;
+    this.attachTrail({ leadDot, trailDots, trailCanvas });
+    this.applyPosition();
+    this.applyOpacity();
+    this.layoutStop = trackLayout(this.scheduleRelayout, this.clock);
+    this.motionStop = subscribeReducedMotion((reduced) => {
+      this.systemReducedMotion = reduced;
+      this.emitPreferences();
+    });
+  }
+
+  // Swap the trail elements (e.g. when TRAIL_RENDERER changes). The canvas
+  // renderer is used when configured, supported and a canvas was given;
+  // otherwise the DOM dots
+  attachTrail({ leadDot = null, trailDots = [], trailCanvas = null }) {
+    this.trail?.destroy();
+    this.elements = { ...this.elements, leadDot, trailDots, trailCanvas };
+
+    const getConfig = () => this.config;
+    const getColors = () => this.getTrailColors();
+    const renderer = resolveTrailRenderer(this.config.animation.TRAIL_RENDERER);
+    if (renderer === "canvas" && trailCanvas) {
+      this.trail = createCanvasTrail(trailCanvas, getConfig, getColors, this.clock);
+    } else if (leadDot) {
+      this.trail = createDomTrail({ leadDot, trailDots }, getConfig, getColors, this.clock);
+    } else {
+      this.trail = null;
+    }
+  }
+
+  // Stop layout tracking and the trail; the elements stay where they are
+  detach() {
+    this.trail?.destroy();
+    this.trail = null;
+    this.motionStop?.();
+    this.motionStop = null;
+    if (this.layoutStop) {
+      this.layoutStop();
+      this.layoutStop = null;
+    }
+    this.stopAnchorTracking();
+    this.clock.clearTimeout(this.timers.relayout);
+  }
+
+  // Bind the inputs of a loaded Rive instance and start blinking, eye
+  // smoothing, mouse tracking and the boredom timer. Binding a new instance
+  // (an asset swap) carries the color, gaze and held inputs over.
+  bindRive(rive, stateMachineName = this.riveAsset.stateMachine) {
+    this.unbindRive();
+    this.rive = rive;
+
+    console.log("[Astro] Rive instance ready");
+    console.log("[Astro] Available state machines:", rive.stateMachineNames);
+
+    // Bind the inputs by name and type; anything missing is reported once
+    // here rather than failing silently whenever Astro uses it
+    const available = rive.stateMachineInputs(stateMachineName) || [];
+    const { inputs, report } = bindRiveInputs(available);
+    this.inputs = inputs;
+    this.riveInputList = available;
+    this.riveDiagnostics = report;
+    if (report.ok) {
+      console.log(`[Astro] Bound ${report.bound} Rive inputs`);
+    } else {
+      const loaded = { stateMachine: stateMachineName, stateMachines: rive.stateMachineNames };
+      console.warn(formatRiveDiagnostics(report, loaded));
+    }
+    this.emit("inputsBound", { inputs: this.getRiveInputs(), report });
+
+    if (this.theme) this.applyBodyColor(this.theme.body);
+    if (this.inputs.MOUSE_X && this.inputs.MOUSE_Y) {
+      this.inputs.MOUSE_X.value = this.currentEyePos.x;
+      this.inputs.MOUSE_Y.value = this.currentEyePos.y;
+    }
+    this.heldInputs.forEach((key) => this.setHeldInput(key, true));
+    if (this.inputs.BLINK) this.scheduleBlink();
+
+    if (this.inputs.MOUSE_X && this.inputs.MOUSE_Y) {
+      console.log("[Astro] Eye tracking inputs ready");
+      this.eyeFrame = this.clock.requestFrame((now) => this.stepEyes(now));
+      this.pointerStop = subscribePointer(this.handlePointerMove);
+      this.focusStop = subscribeFocus(this.handleFocus);
+      // Start the idle stages (boredom, sleep) and ambient actions
+      this.setBoredomState(false, true);
+    }
+  }
+
+  // Stop everything bindRive started and forget the inputs
+  unbindRive() {
+    this.pointerStop?.();
+    this.pointerStop = null;
+    this.focusStop?.();
+    this.focusStop = null;
+    this.clock.cancelFrame(this.eyeFrame);
+    this.clock.clearTimeout(this.timers.blink);
+    this.idle.stop();
+    this.clock.clearTimeout(this.timers.eyeDelay);
+    this.clock.clearTimeout(this.timers.typing);
+    this.eyeFrame = null;
+    this.eyeStepAt = null;
+    this.rive = null;
+    this.inputs = {};
+    this.riveInputList = [];
+    this.riveDiagnostics = null;
+  }
+
+  // Forward the Rive runtime's load callbacks here
+  handleRiveLoad(src) {
+    console.log("[Astro] Rive file loaded successfully:", src);
+    this.emit("riveLoaded", { src });
+    if (this.assetSwap?.asset.src === src) this.settleAssetSwap((swap) => swap.resolve(true));
+  }
+
+  handleRiveLoadError(src, error) {
+    console.error("[Astro] Rive file failed to load:", src, error);
+    this.emit("riveLoadError", { src, error });
+    if (this.assetSwap?.asset.src === src) {
+      // The host keeps showing the previous file
+      this.settleAssetSwap((swap) => {
+        this.riveAsset = swap.previous;
+        swap.reject(error);
+      });
+    }
+  }
+
+  // ========================================
+  // ========== RIVE ASSETS ================
+  // ========================================
+
+  // Switch to another Rive file and/or state machine: a config.variants name
+  // or { src, stateMachine } (see riveAssets.js). The host loads it next to
+  // the current one and cross-fades once it is ready; position, color, gaze
+  // and mood carry over. Resolves with true once the new file is shown,
+  // false if another swap replaced it; rejects if it fails to load.
+  setRiveAsset(asset) {
+    const next = resolveRiveAsset(asset, this.config);
+    if (!next) {
+      const names = Object.keys(this.config.variants).join(", ");
+      console.warn(`[Astro] Unknown Rive variant: ${asset}. Available: ${names}`);
+      return handled(Promise.reject(new Error(`[Astro] Unknown Rive variant: ${asset}`)));
+    }
+    if (isSameRiveAsset(next, this.riveAsset)) {
+      this.riveAsset = next;
+      return this.assetSwap?.promise ?? Promise.resolve(true);
+    }
+
+    // The asset still on screen is the one before any swap in progress
+    const swap = { asset: next, previous: this.assetSwap?.previous ?? this.riveAsset };
+    this.settleAssetSwap((superseded) => superseded.resolve(false));
+    swap.promise = handled(
+      new Promise((resolve, reject) => {
+        swap.resolve = resolve;
+        swap.reject = reject;
+      })
+    );
+    this.assetSwap = swap;
+    this.riveAsset = next;
+    console.log(`[Astro] Swapping Rive file to ${next.src} (${next.stateMachine})`);
+    this.emit("riveAssetChange", { ...next });
+    return swap.promise;
+  }
+
+  setVariant(name) {
+    return this.setRiveAsset(name);
+  }
+
+  // { src, stateMachine, variant } the host should show
+  getRiveAsset() {
+    return { ...this.riveAsset };
+  }
+
+  // Hosts report which renderer of the fallback chain they picked (see
+  // riveRenderers.js) before loading Rive with it
+  setRenderer(renderer) {
+    if (renderer === this.renderer) return;
+    const previous = this.renderer;
+    this.renderer = renderer;
+    if (renderer === "webgl2") console.log("[Astro] Rendering with webgl2");
+    else console.warn(`[Astro] WebGL2 unavailable, rendering with ${renderer} (no glow feathering)`);
+    this.emit("rendererChange", { renderer, previous });
+  }
+
+  // "webgl2", "webgl", "canvas" or "placeholder"; null until the host picked one
+  getRenderer() {
+    return this.renderer;
+  }
+
+  // Download variants ahead of time so setVariant swaps without waiting on
+  // the network; all of config.variants by default
+  preloadVariants(names = Object.keys(this.config.variants)) {
+    return Promise.all(
+      names.map((name) => {
+        const asset = resolveRiveAsset(name, this.config);
+        return asset ? preloadRiveFile(asset.src) : Promise.reject(new Error(`[Astro] Unknown Rive variant: ${name}`));
+      })
+    );
+  }
+
+  settleAssetSwap(settle) {
+    const swap = this.assetSwap;
+    this.assetSwap = null;
+    if (swap) settle(swap);
+  }
+
+  // Settle promises waiting on a trigger (see waitForRiveState)
+  handleRiveStateChange(event) {
+    const waiters = this.riveStateWaiters;
+    this.riveStateWaiters = [];
+    waiters.forEach((waiter) => waiter(event?.data || []));
+  }
+
+  // Apply new config overrides (merged onto the defaults, not onto the
+  // previous overrides). Timing, eye tracking, colors and layout take effect
+  // on the next use; a new riveFile or stateMachineName swaps the Rive file
+  // unless a variant or explicit asset was chosen (see setRiveAsset).
+  setConfig(overrides) {
+    const next = resolveConfig(overrides);
+    const followsConfig = !this.riveAsset.variant && isSameRiveAsset(this.riveAsset, resolveRiveAsset(null, this.config));
+    const seedChanged =
+      next.seed !== this.config.seed || next.animation.PATH_SEED !== this.config.animation.PATH_SEED;
+    const reducedMotion = this.isReducedMotion();
+    this.config = next;
+    if (seedChanged) {
+      this.random = this.createRandom();
+      this.pathRandom = this.createPathRandom();
+    }
+    this.applyOpacity();
+    if (this.isReducedMotion() !== reducedMotion) this.emitPreferences();
+    if (followsConfig) this.setRiveAsset(null);
+  }
+
+  // Random source for blinks, idle actions, glances and drift: options.random,
+  // or seeded (reproducible) when config.seed is set
+  createRandom() {
+    if (this.customRandom) return this.customRandom;
+    const { seed } = this.config;
+    return seed === null ? Math.random : createSeededRandom(seed);
+  }
+
+  // Random source for travel paths: its own sequence when PATH_SEED is set,
+  // otherwise the one above
+  createPathRandom() {
+    const seed = this.config.animation.PATH_SEED;
+    return seed === null ? () => this.random() : createSeededRandom(seed);
+  }
+
+  setSize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.applyPosition();
+  }
+
+  // Tear down timers, listeners, queued animations and subscriptions
+  destroy() {
+    this.detach();
+    this.unbindRive();
+    this.stopFollowingTheme();
+    this.cancelColorTween(CANCEL_REASONS.CANCELLED);
+    this.moods.destroy();
+    this.idle.destroy();
+    this.settleAssetSwap((swap) => swap.resolve(false));
+    [...this.caretStops].forEach((stop) => stop());
+    this.clock.clearTimeout(this.timers.stateTimeout);
+    this.clock.clearTimeout(this.timers.gaze);
+    this.gazeTarget = null;
+    this.cancelAnimations();
+    this.machine.reset();
+    this.emitter.clear();
+  }
+
+  // ========================================
+  // ========== STATE & EVENTS =============
+  // ========================================
+
+  // Notify subscribers and the host
+  emit(type, detail = {}) {
+    this.emitter.emit(type, detail);
+    this.onEvent?.(type, detail);
+  }
+
+  setCenter(center) {
+    this.center = center;
+    this.applyPosition();
+  }
+
+  // Keep Rive container at correct position
+  applyPosition() {
+    const el = this.elements.wrapper;
+    if (!el) return;
+    const left = this.center.x - this.width / 2;
+    const top = this.center.y - this.height / 2;
+    el.style.transform = `translate3d(${left}px, ${top}px, 0)`;
+  }
+
+  setRiveHidden(hidden) {
+    this.riveHidden = hidden;
+    this.applyOpacity();
+  }
+
+  // Show or hide the character without touching its queue or position
+  setVisible(visible) {
+    this.visible = visible;
+    this.applyOpacity();
+  }
+
+  // Opacity and pointer capture follow the host, the user and travel
+  applyOpacity() {
+    const el = this.elements.wrapper;
+    if (!el) return;
+    const shown = this.visible && !this.hidden;
+    el.style.opacity = shown && !this.riveHidden ? "1" : "0";
+    el.style.pointerEvents = shown && this.config.accessibility.INTERACTIVE ? "auto" : "none";
+  }
+
+  // Bounds for viewport-relative positions: the viewport element, or the window
+  getViewport() {
+    const element = this.viewport?.current ?? this.viewport;
+    if (isElement(element)) {
+      const { left, top, width, height } = element.getBoundingClientRect();
+      return { left, top, width, height };
+    }
+    return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  // Resolve a config.positions entry; every position receives (x, y, viewport)
+  resolvePosition(key, x, y) {
+    return this.config.positions[key](x, y, this.getViewport());
+  }
+
+  // Let the coordinator move a target that would overlap another Astro
+  adjustTarget(point) {
+    return this.coordinator ? this.coordinator.resolveTarget(this, point) : point;
+  }
+
+  // Boredom on (from the idle stages) or off. Turning it off with
+  // restartTimer counts as user activity: Astro wakes up and the idle
+  // stages start over (see idleBehavior.js)
+  setBoredomState(enabled, restartTimer = true) {
+    // Only set the Rive input if it exists
+    try {
+      if (this.inputs.BOREDOM) {
+        this.inputs.BOREDOM.value = enabled || this.heldInputs.has("BOREDOM");
+      }
+    } catch (err) {
+      // Silently handle if the input isn't ready yet
+    }
+
+    if (this.isBored !== enabled) {
+      this.isBored = enabled;
+      this.emit("boredomChange", { bored: enabled });
+    }
+    if (enabled) {
+      if (!this.gazeTarget) this.targetEyePos = this.idleEyePlacement();
+    } else if (restartTimer && this.rive) {
+      this.idle.activity();
+    }
+  }
+
+  logTrigger(name) {
+    console.log(`[Astro] Trigger: ${name}`);
+  }
+
+  // ========================================
+  // ========== ACCESSIBILITY ==============
+  // ========================================
+
+  // Cross-fade instead of travelling and damp idle animations when the
+  // config or the user's system asks for reduced motion
+  isReducedMotion() {
+    const setting = this.config.accessibility.REDUCED_MOTION;
+    return setting === "auto" ? this.systemReducedMotion : setting;
+  }
+
+  // User toggle: no character, trail or pointer capture. The lifecycle keeps
+  // running, so Astro reappears in the right spot when shown again
+  setHidden(hidden) {
+    if (this.hidden === hidden) return;
+    this.hidden = hidden;
+    this.applyOpacity();
+    this.emitPreferences();
+  }
+
+  // User toggle: silence the live-region announcements
+  setMuted(muted) {
+    if (this.muted === muted) return;
+    this.muted = muted;
+    this.emitPreferences();
+  }
+
+  getPreferences() {
+    return { hidden: this.hidden, muted: this.muted, reducedMotion: this.isReducedMotion() };
+  }
+
+  emitPreferences() {
+    this.emit("preferencesChange", this.getPreferences());
+  }
+
+  // Tell screen reader users about lifecycle states that have a message
+  announceState(state) {
+    const { ANNOUNCE, ANNOUNCEMENTS } = this.config.accessibility;
+    if (!ANNOUNCE || this.muted || !ANNOUNCEMENTS[state]) return;
+    announce(ANNOUNCEMENTS[state]);
+  }
+
+  // ========================================
+  // ========== EYES & BLINKING ============
+  // ========================================
+
+  // Smoothly interpolate eye position with delay for natural movement
+  updateEyePosition(targetX, targetY) {
+    this.clock.clearTimeout(this.timers.eyeDelay);
+    this.timers.eyeDelay = this.clock.setTimeout(() => this.setEyeTarget(targetX, targetY), this.config.eyeTracking.DELAY_MS);
+  }
+
+  setEyeTarget(x, y) {
+    // Reduced motion keeps the eyes close to the center
+    const damping = this.isReducedMotion() ? this.config.accessibility.IDLE_DAMPING : 1;
+    this.targetEyePos = { x: 50 + (x - 50) * damping, y: 50 + (y - 50) * damping };
+  }
+
+  // Rive eye inputs for looking at a screen point from where Astro is now
+  eyesFor(point) {
+    const { LOOK_RANGE, LOOK_CURVE } = this.config.eyeTracking;
+    return calculateRelativeMousePosition(point.x, point.y, this.center.x, this.center.y, {
+      range: LOOK_RANGE,
+      curve: LOOK_CURVE,
+    });
+  }
+
+  // Set eye position immediately (for specific cases where no smoothing is needed)
+  setEyePositionImmediate(x, y) {
+    this.clock.clearTimeout(this.timers.eyeDelay);
+    this.currentEyePos = { x, y };
+    this.targetEyePos = { x, y };
+    if (this.inputs.MOUSE_X) this.inputs.MOUSE_X.value = x;
+    if (this.inputs.MOUSE_Y) this.inputs.MOUSE_Y.value = y;
+  }
+
+  // One frame of the smooth eye tracking loop; `now` is the clock time
+  stepEyes(now = this.clock.now()) {
+    // Followed elements (and Astro) can move at any time
+    if (this.gazeTarget?.follow) this.aimAtGazeTarget(true);
+
+    // SMOOTHING_FACTOR is per 60 fps frame; scale it to the clock time that
+    // passed so the eyes keep their speed at any frame rate or time scale
+    const { ANIMATION_FRAME_DELAY } = this.config.timing;
+    const elapsed = this.eyeStepAt === null ? ANIMATION_FRAME_DELAY : now - this.eyeStepAt;
+    this.eyeStepAt = now;
+    const smoothing =
+      1 - (1 - this.config.eyeTracking.SMOOTHING_FACTOR) ** (elapsed / Math.max(1, ANIMATION_FRAME_DELAY));
+
+    const dx = this.targetEyePos.x - this.currentEyePos.x;
+    const dy = this.targetEyePos.y - this.currentEyePos.y;
+
+    // Only update if there's a meaningful difference
+    if (Math.abs(dx) > 0.1 || Math.abs(dy) > 0.1) {
+      const newX = this.currentEyePos.x + dx * smoothing;
+      const newY = this.currentEyePos.y + dy * smoothing;
+      this.currentEyePos = { x: newX, y: newY };
+      this.inputs.MOUSE_X.value = newX;
+      this.inputs.MOUSE_Y.value = newY;
+    }
+
+    this.eyeFrame = this.clock.requestFrame((now) => this.stepEyes(now));
+  }
+
+  // Blink at a random interval within the configured range
+  scheduleBlink() {
+    const variation = (this.random() - 0.5) * this.config.timing.BLINK_VARIATION * 2;
+    const interval = Math.max(this.config.timing.BLINK_MIN_INTERVAL, this.config.timing.BLINK_INTERVAL + variation);
+
+    this.timers.blink = this.clock.setTimeout(() => {
+      // Only blink if not in special states (moving, bored, etc.)
+      if (!this.isAnimating && !this.riveHidden && !this.isBored) {
+        this.triggerBlink();
+      }
+      this.scheduleBlink();
+    }, interval);
+  }
+
+  // Mouse, touch and pen tracking (only when not typing) and boredom reset
+  handlePointerMove(e) {
+    if (this.isTyping) return;
+
+    this.lastPointer = { x: e.clientX, y: e.clientY };
+    this.aimEyes(this.lastPointer, GAZE_PRIORITY.POINTER);
+
+    // Reset boredom on any pointer movement
+    this.setBoredomState(false, true);
+  }
+
+  // Keyboard navigation: look at whatever Tab focused, like a pointer there
+  handleFocus(element) {
+    if (this.isTyping) return;
+
+    this.lastPointer = elementCenter(element);
+    this.aimEyes(this.lastPointer, GAZE_PRIORITY.POINTER);
+    this.setBoredomState(false, true);
+  }
+
+  // Watch the caret while the user types in a textarea, text input or
+  // contenteditable element (see caretTracking.js). Returns a function that
+  // stops tracking; destroy stops every tracked input.
+  trackInput(element) {
+    if (!isElement(element)) {
+      console.warn("[Astro] trackInput expects a DOM element, got:", element);
+      return () => {};
+    }
+    const stopCaret = trackCaret(element, ({ x, y }) => this.onUserTyping(x, y), this.clock);
+    const stop = () => {
+      if (this.caretStops.delete(stop)) stopCaret();
+    };
+    this.caretStops.add(stop);
+    return stop;
+  }
+
+  // Wait for Rive to be ready
+  async waitForRive(timeoutMs = 5000) {
+    const startT = this.clock.now();
+    while (!this.rive && this.clock.now() - startT < timeoutMs) {
+      await this.clock.sleep(this.config.timing.ANIMATION_FRAME_DELAY);
+    }
+    return !!this.rive;
+  }
+
+  // ========================================
+  // ========== GAZE =======================
+  // ========================================
+
+  // Look at a screen point. options.priority (GAZE_PRIORITY.GLANCE by default)
+  // decides whether it can replace the current gaze target; options.duration
+  // (timing.GLANCE_DURATION by default, Infinity = until resetGaze) how long
+  // it holds. Resolves with false when a higher-priority target holds the eyes.
+  lookAt(x, y, options = {}) {
+    return Promise.resolve(!!this.setGazeTarget(() => ({ x, y }), options));
+  }
+
+  // Glance at where an element is now
+  lookAtElement(element, options = {}) {
+    if (!isElement(element)) {
+      console.warn("[Astro] lookAtElement expects a DOM element, got:", element);
+      return handled(Promise.reject(new TypeError("[Astro] lookAtElement expects a DOM element")));
+    }
+    const point = elementCenter(element);
+    return this.lookAt(point.x, point.y, options);
+  }
+
+  // Keep looking at an element as it (or Astro) moves, until resetGaze, the
+  // duration (Infinity by default) or a target of equal or higher priority.
+  // Returns a function that stops following.
+  followElement(element, options = {}) {
+    if (!isElement(element)) {
+      console.warn("[Astro] followElement expects a DOM element, got:", element);
+      return () => {};
+    }
+    const target = this.setGazeTarget(() => (element.isConnected ? elementCenter(element) : null), {
+      duration: Infinity,
+      ...options,
+      follow: true,
+    });
+    return () => {
+      if (target && this.gazeTarget === target) this.resetGaze();
+    };
+  }
+
+  // Drop the gaze target; the eyes go back to the pointer (or straight
+  // ahead), or to where they rest while bored or asleep
+  resetGaze() {
+    this.clock.clearTimeout(this.timers.gaze);
+    this.gazeTarget = null;
+    if (this.isBored) {
+      const placement = this.idleEyePlacement();
+      this.updateEyePosition(placement.x, placement.y);
+    } else if (this.lastPointer && !this.isTyping) {
+      this.aimEyes(this.lastPointer, GAZE_PRIORITY.POINTER);
+    } else {
+      this.updateEyePosition(50, 50);
+    }
+  }
+
+  // Returns the new target, or null when a higher-priority one is active
+  setGazeTarget(resolve, options = {}) {
+    const {
+      priority = GAZE_PRIORITY.GLANCE,
+      duration = this.config.timing.GLANCE_DURATION,
+      follow = false,
+    } = options;
+    if (this.gazeTarget && this.gazeTarget.priority > priority) {
+      console.log(`[Astro] Gaze target ignored (priority ${priority} < ${this.gazeTarget.priority})`);
+      return null;
+    }
+
+    this.clock.clearTimeout(this.timers.gaze);
+    const target = { resolve, priority, follow };
+    this.gazeTarget = target;
+    this.aimAtGazeTarget();
+    if (Number.isFinite(duration)) {
+      this.timers.gaze = this.clock.setTimeout(() => {
+        if (this.gazeTarget === target) this.resetGaze();
+      }, duration);
+    }
+    return target;
+  }
+
+  // Point the eyes at the gaze target; `immediate` skips the eye delay
+  // (followed targets update every frame)
+  aimAtGazeTarget(immediate = false) {
+    const point = this.gazeTarget?.resolve();
+    if (!point) {
+      // The followed element left the page
+      if (this.gazeTarget?.follow) this.resetGaze();
+      return;
+    }
+    const eyes = this.eyesFor(point);
+    if (immediate) this.setEyeTarget(eyes.x, eyes.y);
+    else this.updateEyePosition(eyes.x, eyes.y);
+  }
+
+  // Look at `point` on behalf of one of Astro's own gaze sources, unless a
+  // gaze target with a higher priority holds the eyes
+  aimEyes(point, priority) {
+    if (this.gazeTarget && this.gazeTarget.priority > priority) return;
+    const eyes = this.eyesFor(point);
+    this.updateEyePosition(eyes.x, eyes.y);
+  }
+
+  // ========================================
+  // ========== IDLE BEHAVIOR ==============
+  // ========================================
+
+  // Current idle stage: "awake", "bored", "restless" or "asleep"
+  getIdleStage() {
+    return this.idle.stage();
+  }
+
+  // Fall asleep now instead of waiting for idle.SLEEP_AFTER; any activity wakes Astro
+  sleep() {
+    this.idle.enter("asleep");
+  }
+
+  wake() {
+    this.setBoredomState(false, true);
+  }
+
+  // Where the eyes rest while bored or asleep
+  idleEyePlacement() {
+    return this.idle.stage() === "asleep"
+      ? this.config.idle.SLEEP_EYE_PLACEMENT
+      : this.config.eyeTracking.BOREDOM_EYE_PLACEMENT;
+  }
+
+  handleIdleStage(stage, previous) {
+    console.log(`[Astro] Idle stage: ${previous} → ${stage}`);
+    if (stage === "awake") {
+      this.setBoredomState(false, false);
+      const { WAKE_TRIGGER } = this.config.idle;
+      if (previous === "asleep" && WAKE_TRIGGER && !this.isReducedMotion()) {
+        this.queueAnimation(() => this.fireRiveTrigger(WAKE_TRIGGER), { ambient: true });
+      }
+    } else if (!this.isTyping && !this.isReducedMotion()) {
+      // Boredom is an idle animation; reduced motion skips it
+      this.setBoredomState(true, false);
+    }
+    this.emit("idleStageChange", { stage, previous });
+  }
+
+  // Ambient actions never wait in line: they only start when nothing else
+  // is running or queued, and only where someone can see them
+  canPlayAmbient() {
+    return (
+      !!this.rive &&
+      !this.isAnimating &&
+      this.animationQueue.length === 0 &&
+      !this.animationDebounce &&
+      !this.flight &&
+      !this.isTyping &&
+      this.visible &&
+      !this.hidden &&
+      !this.isReducedMotion()
+    );
+  }
+
+  playAmbient(name, action) {
+    console.log(`[Astro] Idle action: ${name}`);
+    if (action.type === "glance") {
+      // Look somewhere around Astro; pointer, caret and app gaze all win
+      const angle = this.random() * Math.PI * 2;
+      const distance = this.config.idle.GLANCE_DISTANCE * (0.5 + this.random() / 2);
+      this.setGazeTarget(
+        () => ({ x: this.center.x + Math.cos(angle) * distance, y: this.center.y + Math.sin(angle) * distance }),
+        { priority: GAZE_PRIORITY.AMBIENT }
+      );
+    } else if (action.type === "drift") {
+      this.drift();
+    } else if (action.type === "trigger") {
+      this.queueAnimation(() => this.fireRiveTrigger(action.input), { ambient: true });
+    }
+  }
+
+  // Float a few pixels away from the resting spot and back; like shake,
+  // `translate` stacks on the transform that positions the wrapper
+  drift() {
+    return this.queueAnimation(async () => {
+      const anim = this.currentAnimation;
+      const { wrapper } = this.elements;
+      if (!wrapper?.animate) return;
+
+      const { DRIFT_DISTANCE, DRIFT_DURATION } = this.config.idle;
+      const angle = this.random() * Math.PI * 2;
+      const dx = Math.cos(angle) * DRIFT_DISTANCE;
+      const dy = Math.sin(angle) * DRIFT_DISTANCE;
+      const driftAnim = this.clock.track(wrapper.animate(
+        [{ translate: "0px 0px" }, { translate: `${dx}px ${dy}px` }, { translate: "0px 0px" }],
+        { duration: DRIFT_DURATION, easing: "ease-in-out" }
+      ));
+      anim.onCancel = () => driftAnim.cancel();
+      try {
+        await driftAnim.finished;
+      } catch {}
+    }, { ambient: true });
+  }
+
+  // ========================================
+  // ========== ANIMATION QUEUE ============
+  // ========================================
+
+  // Mark the running animation cancelled and stop whatever it has in flight
+  // (see onCancel in moveToPosition); its promise rejects once it returns
+  cancelCurrentAnimation(reason = CANCEL_REASONS.CANCELLED) {
+    const current = this.currentAnimation;
+    if (current) {
+      current.cancelled = true;
+      current.cancelReason = reason;
+      this.currentAnimation = null;
+      current.onCancel?.();
+    }
+  }
+
+  // Drop everything waiting in the queue (including a pending debounce)
+  clearAnimationQueue(reason = CANCEL_REASONS.CANCELLED) {
+    const dropped = this.animationQueue;
+    this.animationQueue = [];
+    if (this.animationDebounce) {
+      this.clock.clearTimeout(this.animationDebounce.timer);
+      dropped.push(this.animationDebounce.entry);
+      this.animationDebounce = null;
+    }
+    dropped.forEach((entry) => entry.reject(new AnimationCancelledError(reason)));
+  }
+
+  async processAnimationQueue() {
+    if (this.isAnimating) return;
+    if (this.animationQueue.length === 0) {
+      // Nothing picked up a cancelled move's dot: land where it stopped
+      this.settleFlight();
+      return;
+    }
+
+    this.isAnimating = true;
+    const nextAnim = this.animationQueue.shift();
+    this.currentAnimation = nextAnim;
+
+    try {
+      const result = await nextAnim.fn();
+      if (nextAnim.cancelled) {
+        nextAnim.reject(new AnimationCancelledError(nextAnim.cancelReason));
+      } else {
+        nextAnim.resolve(result);
+      }
+    } catch (err) {
+      console.error("[Astro] Animation error:", err);
+      nextAnim.reject(err);
+    } finally {
+      if (this.currentAnimation === nextAnim) {
+        this.currentAnimation = null;
+      }
+      this.isAnimating = false;
+      this.processAnimationQueue();
+    }
+  }
+
+  // Idle animations give way to everything else (see playAmbient)
+  dropAmbientAnimations() {
+    if (this.currentAnimation?.ambient) this.cancelCurrentAnimation(CANCEL_REASONS.SUPERSEDED);
+    const dropped = this.animationQueue.filter((entry) => entry.ambient);
+    if (!dropped.length) return;
+    this.animationQueue = this.animationQueue.filter((entry) => !entry.ambient);
+    dropped.forEach((entry) => entry.reject(new AnimationCancelledError(CANCEL_REASONS.SUPERSEDED)));
+  }
+
+  // Run `fn`, tagging every animation it queues with `owner` so
+  // cancelAnimationsOf(owner) stops just those (e.g. a choreography's steps)
+  withAnimationOwner(owner, fn) {
+    const previous = this.animationOwner;
+    this.animationOwner = owner;
+    try {
+      return fn();
+    } finally {
+      this.animationOwner = previous;
+    }
+  }
+
+  // Cancel the running, queued and debounced animations queued for `owner`
+  cancelAnimationsOf(owner, reason = CANCEL_REASONS.CANCELLED) {
+    if (this.currentAnimation?.owner === owner) this.cancelCurrentAnimation(reason);
+    const dropped = this.animationQueue.filter((entry) => entry.owner === owner);
+    this.animationQueue = this.animationQueue.filter((entry) => entry.owner !== owner);
+    if (this.animationDebounce?.entry.owner === owner) {
+      this.clock.clearTimeout(this.animationDebounce.timer);
+      dropped.push(this.animationDebounce.entry);
+      this.animationDebounce = null;
+    }
+    dropped.forEach((entry) => entry.reject(new AnimationCancelledError(reason)));
+  }
+
+  // Queue an animation; the returned promise resolves when it finishes and
+  // rejects with AnimationCancelledError if it is cancelled or superseded.
+  // options.ambient marks idle animations: any other animation supersedes them.
+  queueAnimation(fn, options = {}) {
+    const entry = { fn, cancelled: false, ambient: !!options.ambient, owner: this.animationOwner };
+    if (!options.ambient) this.dropAmbientAnimations();
+    const promise = handled(
+      new Promise((resolve, reject) => {
+        entry.resolve = resolve;
+        entry.reject = reject;
+      })
+    );
+
+    if (options.cancelPrevious) {
+      this.cancelCurrentAnimation(CANCEL_REASONS.SUPERSEDED);
+      this.clearAnimationQueue(CANCEL_REASONS.SUPERSEDED);
+    }
+
+    if (options.debounce) {
+      if (this.animationDebounce) {
+        this.clock.clearTimeout(this.animationDebounce.timer);
+        this.animationDebounce.entry.reject(new AnimationCancelledError(CANCEL_REASONS.SUPERSEDED));
+      }
+      const timer = this.clock.setTimeout(() => {
+        this.animationDebounce = null;
+        this.animationQueue.push(entry);
+        this.processAnimationQueue();
+      }, options.debounce);
+      this.animationDebounce = { timer, entry };
+    } else {
+      this.animationQueue.push(entry);
+      this.processAnimationQueue();
+    }
+
+    return promise;
+  }
+
+  cancelAnimations() {
+    this.cancelCurrentAnimation(CANCEL_REASONS.CANCELLED);
+    this.clearAnimationQueue(CANCEL_REASONS.CANCELLED);
+    return Promise.resolve();
+  }
+
+  // ========================================
+  // ========== CORE MOVEMENT ==============
+  // ========================================
+
+  async moveToPosition(x, y, options = {}) {
+    if (!x || !y) {
+      console.log("[Astro] Invalid position, skipping animation");
+      return;
+    }
+
+    await this.waitForRive();
+
+    // Hidden arrivals (hand-offs) don't take up a resting spot
+    if (!options.hideOnArrival) ({ x, y } = this.adjustTarget({ x, y }));
+
+    const { wrapper } = this.elements;
+    const { trail } = this;
+    const anim = this.currentAnimation;
+
+    // Reduced motion (or hidden by the user): no shrink, trail or glide
+    if (this.isReducedMotion() || this.hidden) {
+      if (!wrapper) return;
+      await this.crossfadeTo(x, y, options);
+      return;
+    }
+
+    // Glide: slide the character itself without shrinking or a trail,
+    // used when the layout shifts under a resting position
+    if (options.glide) {
+      if (!wrapper) return;
+      this.settleFlight();
+      this.emit("moveStart", { from: { ...this.center }, to: { x, y }, glide: true });
+      const toTransform = `translate3d(${x - this.width / 2}px, ${y - this.height / 2}px, 0)`;
+      const glideAnim = this.clock.track(wrapper.animate(
+        [{ transform: wrapper.style.transform }, { transform: toTransform }],
+        { duration: this.config.timing.GLIDE_DURATION, easing: this.config.animation.EASING }
+      ));
+      wrapper.style.transform = toTransform;
+      try {
+        await glideAnim.finished;
+      } catch {}
+      this.setCenter({ x, y });
+      this.emit("moveEnd", { x, y, endState: null, glide: true });
+      return;
+    }
+
+    if (!trail) return;
+
+    // Update eye position to look at target (relative to Astro's current position)
+    this.aimEyes({ x, y }, GAZE_PRIORITY.TRAVEL);
+
+    if (anim?.cancelled) return;
+
+    // A cancelled move left its dot mid-air (center is where it stopped):
+    // carry on from there instead of shrinking and starting over
+    let flight = this.flight;
+    if (flight && flight.trail !== trail) {
+      this.settleFlight();
+      flight = null;
+    }
+    this.flight = null;
+
+    this.emit("moveStart", { from: { ...this.center }, to: { x, y }, glide: false });
+
+    const start = { ...this.center };
+    const end = { x, y };
+
+    if (!flight) {
+      // Trigger shrink animation only if not explicitly skipped
+      if (!options.skipShrink) {
+        try { this.inputs.SHRINK?.fire(); } catch {}
+        await this.clock.sleep(this.config.timing.SHRINK_DURATION);
+      }
+
+      if (anim?.cancelled) return;
+
+      // Hide Rive and show trail dots
+      this.setRiveHidden(true);
+      trail.show(start);
+
+      await this.clock.sleep(this.config.timing.DELAY_BEFORE_MOVE);
+
+      if (anim?.cancelled) {
+        this.leaveInFlight(trail, start, null);
+        return;
+      }
+    }
+
+    // Build the travel path: options.path (a generator name or function,
+    // see travelPaths.js) or the configured default; options.seed makes it
+    // reproducible. A continuation leaves along the interrupted heading.
+    const heading = options.heading ?? flight?.heading ?? null;
+    const pathD = buildTravelPath(start, end, {
+      ...options,
+      path: options.path ?? (heading ? "continue" : this.config.animation.PATH),
+      heading,
+      animation: this.config.animation,
+      random: options.seed != null ? createSeededRandom(options.seed) : this.pathRandom,
+    });
+
+    // Cancelling stops the dots where they are rather than letting them finish
+    let stoppedAt = null;
+    if (anim) anim.onCancel = () => (stoppedAt = trail.interrupt());
+    await trail.travel(pathD, {
+      duration: this.config.timing.TRAVEL_DURATION,
+      easing: this.config.animation.EASING,
+    });
+    if (anim) anim.onCancel = null;
+
+    if (anim?.cancelled) {
+      this.leaveInFlight(trail, stoppedAt || end, stoppedAt?.heading ?? null);
+      return;
+    }
+
+    // Hide dots and show Rive at new position (or stay hidden for a hand-off)
+    trail.hide();
+    this.setCenter({ x, y });
+    if (options.hideOnArrival) this.setVisible(false);
+    this.setRiveHidden(false);
+
+    // Look straight ahead at the new position on the next frame
+    await new Promise((r) => this.clock.requestFrame(() => r()));
+    this.setEyePositionImmediate(50, 50);
+
+    this.finishMove(x, y, options.endState);
+  }
+
+  // Reduced-motion movement: fade out, jump, fade back in (hidden Astros
+  // just jump). Glides jump too, without an end state.
+  async crossfadeTo(x, y, options = {}) {
+    const { wrapper } = this.elements;
+    const anim = this.currentAnimation;
+    const glide = !!options.glide;
+    const half = this.hidden ? 0 : this.config.accessibility.CROSSFADE_DURATION / 2;
+
+    this.settleFlight();
+    this.emit("moveStart", { from: { ...this.center }, to: { x, y }, glide });
+
+    const fadeOut = this.clock.track(wrapper.animate([{ opacity: wrapper.style.opacity }, { opacity: 0 }], {
+      duration: half,
+      fill: "forwards",
+    }));
+    try {
+      await fadeOut.finished;
+    } catch {}
+
+    if (anim?.cancelled) {
+      fadeOut.cancel();
+      return;
+    }
+
+    this.setCenter({ x, y });
+    if (options.hideOnArrival) this.setVisible(false);
+    const fadeIn = this.clock.track(
+      wrapper.animate([{ opacity: 0 }, { opacity: wrapper.style.opacity }], { duration: half })
+    );
+    fadeOut.cancel();
+    try {
+      await fadeIn.finished;
+    } catch {}
+
+    this.setEyePositionImmediate(50, 50);
+    if (glide) {
+      this.emit("moveEnd", { x, y, endState: null, glide: true });
+    } else {
+      this.finishMove(x, y, options.endState);
+    }
+  }
+
+  // Apply the end state (idle by default) and emit moveEnd
+  finishMove(x, y, endState = "idle") {
+    console.log(`[Astro] Arrived, playing ${endState}`);
+    const endTrigger = END_STATE_TRIGGERS[endState];
+    if (endTrigger) {
+      try { this.inputs[endTrigger]?.fire(); } catch {}
+    }
+
+    this.emit("moveEnd", { x, y, endState, glide: false });
+  }
+
+  // Record where a cancelled move's dot stopped so the next move continues
+  // from there (or settleFlight lands it)
+  leaveInFlight(trail, point, heading) {
+    this.setCenter({ x: point.x, y: point.y });
+    this.flight = { trail, heading };
+  }
+
+  // Land a cancelled move nobody continued: hide the dots and show Astro
+  // where they stopped
+  settleFlight() {
+    const flight = this.flight;
+    if (!flight) return;
+    this.flight = null;
+    flight.trail.hide();
+    this.setRiveHidden(false);
+    this.setEyePositionImmediate(50, 50);
+  }
+
+  // Shake the character in place (queued behind running moves), firing the
+  // Rive `input` as it starts. Reduced motion keeps only the Rive trigger.
+  shake({ input, duration = this.config.timing.SHAKE_DURATION } = {}) {
+    return this.queueAnimation(async () => {
+      const anim = this.currentAnimation;
+      const settled = input ? this.fireRiveTrigger(input) : Promise.resolve();
+      const { wrapper } = this.elements;
+
+      if (wrapper?.animate && !this.isReducedMotion() && !this.hidden) {
+        // `translate` stacks on the transform that positions the wrapper
+        const d = this.config.animation.SHAKE_DISTANCE;
+        const offsets = [0, -d, d, -d * 0.6, d * 0.6, -d * 0.3, 0];
+        const shakeAnim = this.clock.track(wrapper.animate(
+          offsets.map((x) => ({ translate: `${x}px 0` })),
+          { duration, easing: "ease-in-out" }
+        ));
+        anim.onCancel = () => shakeAnim.cancel();
+        try {
+          await shakeAnim.finished;
+        } catch {}
+      }
+      await settled;
+    });
+  }
+
+  // ========================================
+  // ========== LAYOUT TRACKING ============
+  // ========================================
+
+  stopAnchorTracking() {
+    if (this.anchorStop) {
+      this.anchorStop();
+      this.anchorStop = null;
+    }
+  }
+
+  // Remember the logical spot Astro rests at ("top-middle", "above-chat-box",
+  // "near-ai-message"...) and how to find it again after the layout changes
+  setRestingPosition(name, resolve) {
+    this.stopAnchorTracking();
+    this.resting = { name, resolve };
+  }
+
+  // Re-resolve the resting position and glide there if it moved
+  relayout() {
+    const target = this.resting;
+    if (!target) return Promise.resolve();
+
+    return this.queueAnimation(async () => {
+      if (this.resting !== target) return;
+      const resolved = target.resolve();
+      if (!resolved) return;
+      const pos = this.adjustTarget(resolved);
+      const from = this.center;
+      if (Math.hypot(pos.x - from.x, pos.y - from.y) < 1) return;
+      await this.moveToPosition(pos.x, pos.y, { glide: true });
+    });
+  }
+
+  // Layout signals arrive in bursts (scrolling, dragging the window edge),
+  // so wait for them to settle before gliding
+  scheduleRelayout() {
+    this.clock.clearTimeout(this.timers.relayout);
+    this.timers.relayout = this.clock.setTimeout(() => this.relayout(), this.config.timing.LAYOUT_SETTLE_DELAY);
+  }
+
+  // Attach Astro to a DOM element and keep following it until another
+  // movement replaces the resting position
+  anchorTo(element, options = {}) {
+    if (!isElement(element)) {
+      console.warn("[Astro] anchorTo expects a DOM element, got:", element);
+      return handled(Promise.reject(new TypeError("[Astro] anchorTo expects a DOM element")));
+    }
+
+    const {
+      name = "anchored",
+      placement = "top-start",
+      offset = { x: 0, y: 0 },
+      endState = "idle",
+      delay = 0,
+      ...moveOptions
+    } = options;
+
+    this.setRestingPosition(name, () =>
+      element.isConnected ? resolveAnchorPoint(element, placement, offset) : null
+    );
+    this.anchorStop = trackAnchor(element, { placement, offset, clock: this.clock }, this.scheduleRelayout);
+
+    return this.queueAnimation(async () => {
+      if (delay) await this.clock.sleep(delay);
+      // Resolve at run time so layout changes while queued are respected
+      const pos = resolveAnchorPoint(element, placement, offset);
+      await this.moveToPosition(pos.x, pos.y, { endState, ...moveOptions });
+    }, { debounce: this.config.timing.DEBOUNCE_DELAY });
+  }
+
+  // Stop following the current anchor and stay where Astro is
+  clearAnchor() {
+    this.stopAnchorTracking();
+    this.resting = null;
+  }
+
+  // options: endState, skipShrink and travel path options ({ path, seed, ... });
+  // cancelPrevious retargets a move in flight to (x, y)
+  moveTo(x, y, options = {}) {
+    const { cancelPrevious, ...moveOptions } = options;
+    this.setRestingPosition("custom", () => ({ x, y }));
+    return this.queueAnimation(async () => {
+      await this.moveToPosition(x, y, { endState: "idle", ...moveOptions });
+    }, { cancelPrevious });
+  }
+
+  getRestingPosition() {
+    return this.resting?.name ?? null;
+  }
+
+  // ========================================
+  // ========== LIFECYCLE METHODS ==========
+  // ========================================
+
+  // Run a lifecycle "move" action: resolve the logical spot from the event's
+  // element (followed) or x/y coordinates and queue the movement
+  moveToLogicalPosition(action, target = {}) {
+    // Anything else on the action (path, waypoints, seed...) shapes the travel path
+    const { type, to, from, endState = "idle", skipShrink, delay = 0, cancelPrevious, ...travel } = action;
+    const spot = LOGICAL_POSITIONS[to];
+    if (!spot) {
+      console.warn(`[Astro] Unknown logical position: ${to}. Available: ${Object.keys(LOGICAL_POSITIONS).join(', ')}`);
+      return handled(Promise.reject(new Error(`[Astro] Unknown logical position: ${to}`)));
+    }
+
+    // Delays may name a config.timing entry so lifecycle definitions stay data-only
+    const delayMs = typeof delay === "string" ? this.config.timing[delay] : delay;
+
+    // Without a target, go back to the one this spot was last reached with
+    // (e.g. the chat box after an error)
+    if (isElement(target.x) || typeof target.x === "number") {
+      this.logicalTargets[to] = { x: target.x, y: target.y };
+    } else if (this.logicalTargets[to]) {
+      target = this.logicalTargets[to];
+    }
+    if (from) {
+      this.setCenter(this.resolvePosition(LOGICAL_POSITIONS[from].position));
+    }
+
+    if (isElement(target.x) && spot.anchor) {
+      return this.anchorTo(target.x, {
+        name: to,
+        ...this.config.anchors[spot.anchor],
+        ...travel,
+        endState,
+        skipShrink,
+        delay: delayMs,
+      });
+    }
+
+    // Caller coordinates are fixed; without them the spot is re-resolved from the
+    // viewport (through the config, so position overrides apply on relayout)
+    const fixed = typeof target.x === "number" ? this.resolvePosition(spot.position, target.x, target.y) : null;
+    const resolve = fixed ? () => fixed : () => this.resolvePosition(spot.position);
+    this.setRestingPosition(to, resolve);
+
+    return this.queueAnimation(async () => {
+      if (delayMs) await this.clock.sleep(delayMs);
+      const pos = resolve();
+      await this.moveToPosition(pos.x, pos.y, { ...travel, endState, skipShrink });
+    }, cancelPrevious ? { cancelPrevious: true } : { debounce: this.config.timing.DEBOUNCE_DELAY });
+  }
+
+  // Lifecycle methods return a promise that resolves when the transition's
+  // movements and Rive triggers have finished
+  onChatOpen() {
+    return this.machine.send(LIFECYCLE_EVENTS.CHAT_OPEN).done;
+  }
+
+  // Position methods accept either an element (followed) or raw x/y coordinates
+  onFirstInputFocus(x, y) {
+    return this.machine.send(LIFECYCLE_EVENTS.FIRST_FOCUS, { x, y }).done;
+  }
+
+  onUserSendsMessage(x, y) {
+    return this.machine.send(LIFECYCLE_EVENTS.USER_SENDS_MESSAGE, { x, y }).done;
+  }
+
+  onAIMessageReady() {
+    return this.machine.send(LIFECYCLE_EVENTS.AI_MESSAGE_READY).done;
+  }
+
+  onAIMessageShown(x, y) {
+    return this.machine.send(LIFECYCLE_EVENTS.AI_MESSAGE_SHOWN, { x, y }).done;
+  }
+
+  // The AI call failed, timed out or was aborted: react and return to the
+  // chat box (x/y or an element, defaults to where the message was sent from)
+  onAIMessageError(reason = "error", x, y) {
+    return this.machine.send(LIFECYCLE_EVENTS.AI_MESSAGE_ERROR, { reason, x, y }).done;
+  }
+
+  // Start the current state's watchdog, if its definition has one
+  // (`timeout: { after, event, payload }`, see lifecycleMachine.js)
+  armStateTimeout(state) {
+    this.clock.clearTimeout(this.timers.stateTimeout);
+    const timeout = this.lifecycle.states[state]?.timeout;
+    if (!timeout) return;
+    const after = typeof timeout.after === "string" ? this.config.timing[timeout.after] : timeout.after;
+    if (!after) return;
+
+    this.timers.stateTimeout = this.clock.setTimeout(() => {
+      if (this.machine.state !== state) return;
+      console.warn(`[Astro] No progress in "${state}" after ${after}ms, sending ${timeout.event}`);
+      this.machine.send(timeout.event, { ...timeout.payload });
+    }, after);
+  }
+
+  onUserTyping(caretX, caretY) {
+    if (!this.inputs.MOUSE_X || !this.inputs.MOUSE_Y) return;
+
+    // Typing disables pointer tracking
+    if (!this.isTyping) {
+      console.log("[Astro] Started typing - disabled pointer tracking");
+    }
+    this.isTyping = true;
+
+    // Reset boredom when user types
+    this.setBoredomState(false, true);
+
+    // Look at the caret the same way the eyes follow the pointer
+    this.aimEyes({ x: caretX, y: caretY }, GAZE_PRIORITY.CARET);
+
+    // Resume pointer tracking 1.5 seconds after the last keystroke
+    this.clock.clearTimeout(this.timers.typing);
+    this.timers.typing = this.clock.setTimeout(() => {
+      this.isTyping = false;
+      console.log("[Astro] Resumed pointer tracking");
+      this.setBoredomState(false, true); // Reset and restart timer
+    }, 1500);
+  }
+
+  getState() {
+    return this.machine.state;
+  }
+
+  getStateHistory() {
+    return this.machine.history;
+  }
+
+  canSend(event) {
+    return this.machine.can(event);
+  }
+
+  // ========================================
+  // ========== RIVE STATE TRIGGERS ========
+  // ========================================
+
+  // Resolve with the new state names the next time Rive reports a state change
+  // (or with [] after RIVE_STATE_TIMEOUT, e.g. when a trigger changes nothing)
+  waitForRiveState(timeoutMs = this.config.timing.RIVE_STATE_TIMEOUT) {
+    return new Promise((resolve) => {
+      const waiter = (states) => {
+        this.clock.clearTimeout(timer);
+        resolve(states);
+      };
+      const timer = this.clock.setTimeout(() => {
+        this.riveStateWaiters = this.riveStateWaiters.filter((w) => w !== waiter);
+        resolve([]);
+      }, timeoutMs);
+      this.riveStateWaiters.push(waiter);
+    });
+  }
+
+  // Fire a Rive trigger by its RIVE_STATES key; resolves once Rive enters the new state
+  fireRiveTrigger(key) {
+    if (!RIVE_TRIGGERS.includes(key)) {
+      console.warn(`[Astro] Unknown Rive trigger: ${key}`);
+      return handled(Promise.reject(new Error(`[Astro] Unknown Rive trigger: ${key}`)));
+    }
+
+    this.logTrigger(key.toLowerCase().replace(/_/g, "-"));
+    const input = this.inputs[key];
+    // Rive not loaded yet - nothing will change, so don't make callers wait
+    if (!input) return Promise.resolve([]);
+
+    const settled = this.waitForRiveState();
+    try {
+      input.fire();
+    } catch (err) {
+      console.error(`[Astro] Rive trigger ${key} failed:`, err);
+    }
+    return settled;
+  }
+
+  // ========================================
+  // ========== RIVE INPUTS ================
+  // ========================================
+
+  // Every input of the loaded state machine as { name, type, value, key }
+  // (key: the RIVE_STATES / RIVE_INPUTS entry it is bound to, or null)
+  getRiveInputs() {
+    return describeRiveInputs(this.riveInputList, this.inputs);
+  }
+
+  // How the loaded state machine matched the inputs Astro expects (see
+  // riveInputs.js), or null before Rive loads
+  getRiveDiagnostics() {
+    return this.riveDiagnostics;
+  }
+
+  // Fire any trigger of the state machine by its Rive name
+  fireRiveInput(name) {
+    const input = this.findRiveInput(name, "trigger");
+    if (!input) return Promise.resolve([]);
+    const settled = this.waitForRiveState();
+    input.fire();
+    return settled;
+  }
+
+  // Set any boolean or number input of the state machine by its Rive name
+  setRiveInput(name, value) {
+    const input = this.findRiveInput(name, typeof value);
+    if (input) input.value = value;
+    return !!input;
+  }
+
+  findRiveInput(name, type) {
+    const input = this.riveInputList.find((candidate) => candidate.name === name);
+    if (!input) {
+      console.warn(`[Astro] No Rive input named "${name}"`);
+      return null;
+    }
+    if (riveInputType(input) !== type) {
+      console.warn(`[Astro] Rive input "${name}" is a ${riveInputType(input)}, not a ${type}`);
+      return null;
+    }
+    return input;
+  }
+
+  triggerIdle() {
+    return this.fireRiveTrigger("IDLE");
+  }
+
+  triggerUndo() {
+    return this.fireRiveTrigger("UNDO");
+  }
+
+  triggerIdeaSpark() {
+    return this.fireRiveTrigger("IDEA_SPARK");
+  }
+
+  // Boredom is a boolean input, so this toggles it
+  triggerBoredom() {
+    this.logTrigger("boredom");
+    const input = this.inputs.BOREDOM;
+    const settled = input ? this.waitForRiveState() : Promise.resolve([]);
+    this.setBoredomState(input ? !input.value : false, false);
+    return settled;
+  }
+
+  triggerBigLoader() {
+    return this.fireRiveTrigger("BIG_LOADER");
+  }
+
+  triggerSmallLoader() {
+    return this.fireRiveTrigger("SMALL_LOADER");
+  }
+
+  triggerShrink() {
+    return this.fireRiveTrigger("SHRINK");
+  }
+
+  triggerPulse() {
+    return this.fireRiveTrigger("PULSE");
+  }
+
+  triggerPublish() {
+    return this.fireRiveTrigger("PUBLISH");
+  }
+
+  triggerBlink() {
+    this.emit("blink");
+    return this.fireRiveTrigger("BLINK");
+  }
+
+  // Tween the body, lead dot and trail to a color or theme: a config.colors
+  // name, a registerTheme name, or any color / theme value (see themes.js).
+  // options.duration defaults to timing.COLOR_TRANSITION_DURATION. Stops
+  // followCssVariable / followColorScheme; resolves when the tween ends.
+  changeAstroColor(color, options = {}) {
+    this.stopFollowingTheme();
+    return this.applyTheme(color, options);
+  }
+
+  // Declarative form for hosts (the React theme prop): a CSS variable name
+  // ("--accent") is followed, { light, dark } follows the color scheme,
+  // anything else is applied once; null leaves the colors as they are
+  setTheme(theme) {
+    if (theme == null) {
+      this.stopFollowingTheme();
+      return Promise.resolve();
+    }
+    if (typeof theme === "string" && theme.startsWith("--")) {
+      this.followCssVariable(theme);
+      return Promise.resolve();
+    }
+    if (theme.light !== undefined && theme.dark !== undefined) {
+      this.followColorScheme(theme);
+      return Promise.resolve();
+    }
+    return this.changeAstroColor(theme);
+  }
+
+  applyTheme(color, { duration = this.config.timing.COLOR_TRANSITION_DURATION } = {}) {
+    const named = typeof color === "string" ? this.config.colors[color] ?? getRegisteredTheme(color) : null;
+    const { animation } = this.config;
+    const target = resolveTheme(named ?? color, {
+      trailEnd: animation.TRAIL_GRADIENT_END,
+      leadStart: animation.LEAD_START_COLOR,
+    });
+    if (!target) {
+      const names = [...Object.keys(this.config.colors), ...getThemeNames()];
+      console.warn(`[Astro] Unknown color: ${color}. Use a color value or one of: ${names.join(', ')}`);
+      return handled(Promise.reject(new Error(`[Astro] Unknown color: ${color}`)));
+    }
+
+    console.log(`[Astro] Changing color to ${typeof color === "string" ? color : JSON.stringify(color)}`);
+    return this.tweenTheme(target, duration);
+  }
+
+  // Theme colors before any theme was applied: the Rive body as it is now
+  // and the configured dot colors
+  getConfigTheme() {
+    const { animation } = this.config;
+    const { RED_COLOR, GREEN_COLOR, BLUE_COLOR } = this.inputs;
+    const body = RED_COLOR && GREEN_COLOR && BLUE_COLOR
+      ? { r: RED_COLOR.value, g: GREEN_COLOR.value, b: BLUE_COLOR.value, a: 1 }
+      : animation.DOT_COLOR;
+    return resolveTheme({
+      body,
+      trail: animation.DOT_COLOR,
+      trailEnd: animation.TRAIL_GRADIENT_END ?? animation.DOT_COLOR,
+      leadStart: animation.LEAD_START_COLOR,
+    });
+  }
+
+  // Colors the trail renderers draw with (CSS strings)
+  getTrailColors() {
+    const { animation } = this.config;
+    if (!this.theme) {
+      return {
+        lead: animation.DOT_COLOR,
+        tail: animation.TRAIL_GRADIENT_END ?? animation.DOT_COLOR,
+        leadStart: animation.LEAD_START_COLOR,
+      };
+    }
+    return {
+      lead: toCssColor(this.theme.trail),
+      tail: toCssColor(this.theme.trailEnd),
+      leadStart: toCssColor(this.theme.leadStart),
+    };
+  }
+
+  applyBodyColor({ r, g, b }) {
+    try {
+      if (this.inputs.RED_COLOR) this.inputs.RED_COLOR.value = r;
+      if (this.inputs.GREEN_COLOR) this.inputs.GREEN_COLOR.value = g;
+      if (this.inputs.BLUE_COLOR) this.inputs.BLUE_COLOR.value = b;
+    } catch (err) {
+      console.error(`[Astro] Error setting color:`, err);
+    }
+  }
+
+  // Ease from the current colors to `target` over `duration` ms; a newer
+  // tween rejects this one's promise with AnimationCancelledError
+  tweenTheme(target, duration) {
+    this.cancelColorTween(CANCEL_REASONS.SUPERSEDED);
+    const from = this.theme ?? this.getConfigTheme();
+    const setColors = (theme) => {
+      this.theme = theme;
+      this.applyBodyColor(theme.body);
+    };
+
+    if (!duration) {
+      setColors(target);
+      return Promise.resolve();
+    }
+
+    return handled(
+      new Promise((resolve, reject) => {
+        const start = this.clock.now();
+        const step = (now) => {
+          const t = Math.min(1, Math.max(0, (now - start) / duration));
+          const eased = t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2; // ease-in-out
+          setColors(mixThemes(from, target, eased));
+          if (t < 1) {
+            this.colorTween.frame = this.clock.requestFrame(step);
+          } else {
+            this.colorTween = null;
+            resolve();
+          }
+        };
+        this.colorTween = { frame: this.clock.requestFrame(step), reject };
+      })
+    );
+  }
+
+  cancelColorTween(reason = CANCEL_REASONS.CANCELLED) {
+    if (!this.colorTween) return;
+    this.clock.cancelFrame(this.colorTween.frame);
+    this.colorTween.reject(new AnimationCancelledError(reason));
+    this.colorTween = null;
+  }
+
+  // Keep Astro's colors in sync with a CSS custom property (e.g. "--accent")
+  // on `element`: re-read when its style/class/data-theme attributes or the
+  // system color scheme change. Returns a stop function.
+  followCssVariable(name = "--accent", element = document.documentElement) {
+    this.stopFollowingTheme();
+    let last = null;
+    const apply = () => {
+      const value = getComputedStyle(element).getPropertyValue(name).trim();
+      if (!value || value === last) return;
+      if (!resolveColor(value)) {
+        console.warn(`[Astro] ${name} is not a color: ${value}`);
+        return;
+      }
+      last = value;
+      this.applyTheme(value);
+    };
+
+    const observer = new MutationObserver(apply);
+    observer.observe(element, { attributes: true, attributeFilter: ["style", "class", "data-theme"] });
+    const stopScheme = subscribeColorScheme(apply);
+    apply();
+
+    return this.setThemeFollower(() => {
+      observer.disconnect();
+      stopScheme();
+    });
+  }
+
+  // Switch between two colors/themes with the system color scheme:
+  // followColorScheme({ light: "#3AA0FF", dark: { body: "#8AB4FF", trailEnd: "#ffffff" } })
+  followColorScheme({ light, dark }) {
+    this.stopFollowingTheme();
+    const apply = (isDark) => this.applyTheme(isDark ? dark : light);
+    apply(prefersDarkScheme());
+    return this.setThemeFollower(subscribeColorScheme(apply));
+  }
+
+  // Remember the active follower; the returned function stops only that one
+  setThemeFollower(stop) {
+    this.themeStop = stop;
+    return () => {
+      if (this.themeStop === stop) this.stopFollowingTheme();
+    };
+  }
+
+  stopFollowingTheme() {
+    this.themeStop?.();
+    this.themeStop = null;
+  }
+
+  // ========================================
+  // ========== MOODS ======================
+  // ========================================
+
+  // Put Astro in a mood (a config.moods name, see moods.js). options.intensity
+  // (0-1, default 1) sets how long it lasts; returns false when a higher
+  // priority mood is still active.
+  setMood(mood, options = {}) {
+    if (!this.config.moods[mood]) {
+      console.warn(`[Astro] Unknown mood: ${mood}. Available: ${Object.keys(this.config.moods).join(", ")}`);
+      return false;
+    }
+    return this.moods.set(mood, { source: "api", ...options, intensity: options.intensity ?? 1 });
+  }
+
+  // Detect a mood in message text and react to it; returns { mood, intensity } or null
+  reactTo(text, options = {}) {
+    const detected = detectMood(text, this.config.moods);
+    if (!detected) return null;
+    const intensity = detected.intensity * (options.intensity ?? 1);
+    this.moods.set(detected.mood, { intensity, source: options.source ?? "message" });
+    return { mood: detected.mood, intensity };
+  }
+
+  clearMood() {
+    this.moods.clear();
+  }
+
+  // { mood, intensity, source } with the decayed intensity, mood null when calm
+  getMood() {
+    return this.moods.get();
+  }
+
+  // Trigger moods queue behind running moves, so the reaction plays where
+  // Astro lands; it is skipped if another mood took over in the meantime
+  playMood(mood, definition, intensity) {
+    if (definition.hold) {
+      this.setHeldInput(definition.hold, true);
+      return;
+    }
+    const repeat = !this.isReducedMotion() && intensity >= (definition.repeatAbove ?? Infinity);
+    this.queueAnimation(async () => {
+      for (let i = 0; i < (repeat ? 2 : 1); i++) {
+        if (this.moods.get().mood !== mood) return;
+        await this.fireRiveTrigger(definition.trigger);
+      }
+    });
+  }
+
+  releaseMood(definition) {
+    if (definition?.hold) this.setHeldInput(definition.hold, false);
+  }
+
+  // Boredom stays on while either the idle timer or a mood holds it
+  setHeldInput(key, held) {
+    if (held) this.heldInputs.add(key);
+    else this.heldInputs.delete(key);
+    const input = this.inputs[key];
+    if (!input) return;
+    try {
+      input.value = held || (key === "BOREDOM" && this.isBored);
+    } catch {}
+  }
+
+  // ========================================
+  // ========== EVENTS & SEQUENCES =========
+  // ========================================
+
+  // Subscribe to an event (see ASTRO_EVENTS); returns an unsubscribe function
+  on(type, callback) {
+    if (!(type in ASTRO_EVENTS)) {
+      console.warn(`[Astro] Unknown event: ${type}. Available: ${Object.keys(ASTRO_EVENTS).join(', ')}`);
+    }
+    return this.emitter.on(type, callback);
+  }
+
+  once(type, callback) {
+    return this.emitter.once(type, callback);
+  }
+
+  off(type, callback) {
+    return this.emitter.off(type, callback);
+  }
+
+  // Choreography (see choreography.js); returns { pause, resume, seek, cancel, finished }
+  play(sequence, options) {
+    return runChoreography(this, sequence, options);
+  }
+}
@@ -0,0 +1,468 @@
+import { AstroController } from "./AstroController";
+import { STATE_MACHINE_NAME, TIMING } from "./astroConfig";
+import { createClock } from "./clock";
+import { AnimationCancelledError, CANCEL_REASONS, LifecycleTransitionError } from "./errors";
+import { Rive } from "./testing/fakeRive";
+import { choreography } from "./choreography";
+import { advanceTime, flushPromises } from "./testing/helpers";
+
+// Debounce, shrink, pause, travel and a few frames before the end state
+const MOVE_DURATION =
+  TIMING.DEBOUNCE_DELAY + TIMING.SHRINK_DURATION + TIMING.DELAY_BEFORE_MOVE + TIMING.TRAVEL_DURATION + 100;
+
+let astro;
+
+// A controller with DOM trail elements; ambient idle actions stay off so
+// they don't interleave with the animations under test
+function createAstro(config = {}, options = {}) {
+  astro = new AstroController({ ...options, config: { idle: { ENABLED: false }, ...config } });
+  const wrapper = document.createElement("div");
+  const leadDot = document.createElement("div");
+  const trailDots = [document.createElement("div"), document.createElement("div")];
+  document.body.append(wrapper, leadDot, ...trailDots);
+  astro.attach({ wrapper, leadDot, trailDots });
+  return astro;
+}
+
+// What a host does once the file loads (see mountAstro.js)
+async function bindFakeRive(controller = astro) {
+  const rive = new Rive({
+    stateMachines: STATE_MACHINE_NAME,
+    onStateChange: (event) => controller.handleRiveStateChange(event),
+  });
+  await flushPromises();
+  controller.bindRive(rive);
+  return rive;
+}
+
+const settle = (promise) =>
+  promise.then(
+    (value) => ({ status: "resolved", value }),
+    (error) => ({ status: "rejected", error })
+  );
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, "random").mockReturnValue(0.5); // Blinks every BLINK_INTERVAL
+});
+
+afterEach(() => {
+  astro?.destroy();
+  astro = null;
+  jest.useRealTimers();
+});
+
+describe("Rive binding", () => {
+  it("binds every expected input of the state machine", async () => {
+    createAstro();
+    const inputsBound = jest.fn();
+    astro.on("inputsBound", inputsBound);
+    await bindFakeRive();
+
+    expect(astro.getRiveDiagnostics()).toMatchObject({ ok: true, missing: [], mistyped: [] });
+    expect(inputsBound).toHaveBeenCalledTimes(1);
+    expect(astro.inputs.PULSE.name).toBe("Pulse");
+  });
+
+  it("fires triggers by key and resolves with the state Rive reports", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+
+    await expect(astro.fireRiveTrigger("PULSE")).resolves.toEqual(["Pulse"]);
+    expect(rive.fired).toEqual(["Pulse"]);
+  });
+
+  it("rejects unknown triggers", async () => {
+    createAstro();
+    await bindFakeRive();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await expect(astro.fireRiveTrigger("MOONWALK")).rejects.toThrow("Unknown Rive trigger");
+  });
+});
+
+describe("lifecycle methods", () => {
+  it("onChatOpen flies in to the top and lands idle", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+    const moveEnd = jest.fn();
+    astro.on("moveEnd", moveEnd);
+
+    const done = settle(astro.onChatOpen());
+    expect(astro.getState()).toBe("greeting");
+    await advanceTime(MOVE_DURATION);
+
+    expect((await done).status).toBe("resolved");
+    expect(rive.fired).toEqual(["Shrink", "Idle"]);
+    expect(moveEnd).toHaveBeenCalledWith(expect.objectContaining({ endState: "idle", glide: false }));
+  });
+
+  it("queues a first focus that arrives before the chat opens", async () => {
+    createAstro();
+    await bindFakeRive();
+
+    const focus = settle(astro.onFirstInputFocus(300, 500));
+    expect(astro.getState()).toBe("hidden");
+
+    astro.onChatOpen();
+    expect(astro.getState()).toBe("at-chat-box");
+    await advanceTime(MOVE_DURATION * 2);
+    expect((await focus).status).toBe("resolved");
+  });
+
+  it("rejects events the current state doesn't accept", async () => {
+    createAstro();
+    await bindFakeRive();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    astro.onChatOpen();
+
+    const { error } = await settle(astro.onUserSendsMessage(300, 500));
+    expect(error).toBeInstanceOf(LifecycleTransitionError);
+    expect(astro.getState()).toBe("greeting");
+  });
+
+  it("walks a chat round trip with the loader, pulse and return", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+    const states = [];
+    astro.on("stateChange", ({ to }) => states.push(to));
+
+    astro.onChatOpen();
+    astro.onFirstInputFocus(300, 500);
+    await advanceTime(MOVE_DURATION * 2);
+
+    astro.onUserSendsMessage(300, 200);
+    await advanceTime(MOVE_DURATION);
+    expect(rive.fired).toContain("Small_Loader");
+
+    astro.onAIMessageReady();
+    await advanceTime(100);
+    expect(rive.fired[rive.fired.length - 1]).toBe("Pulse");
+
+    astro.onAIMessageShown(300, 500);
+    await advanceTime(TIMING.RETURN_TO_CHAT_DELAY + MOVE_DURATION);
+
+    expect(states).toEqual(["greeting", "at-chat-box", "awaiting-ai", "ai-ready", "at-chat-box"]);
+  });
+
+  it("drops a reply signal queued before the next message", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    astro.onChatOpen();
+    astro.onFirstInputFocus(300, 500);
+    await advanceTime(MOVE_DURATION * 2);
+
+    // A late signal from an earlier exchange waits in at-chat-box
+    const stale = settle(astro.onAIMessageReady());
+    expect(astro.machine.pending).toEqual(["AI_MESSAGE_READY"]);
+
+    astro.onUserSendsMessage(300, 200);
+    expect(astro.getState()).toBe("awaiting-ai");
+    expect(astro.machine.pending).toEqual([]);
+    const { error } = await stale;
+    expect(error).toBeInstanceOf(LifecycleTransitionError);
+
+    await advanceTime(MOVE_DURATION);
+    expect(rive.fired).toContain("Small_Loader");
+    expect(rive.fired).not.toContain("Pulse");
+  });
+
+  it("gives up on a reply that never becomes ready", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    const aiError = jest.fn();
+    astro.on("aiError", aiError);
+
+    astro.onChatOpen();
+    astro.onFirstInputFocus(300, 500);
+    await advanceTime(MOVE_DURATION * 2);
+    astro.onUserSendsMessage(300, 200);
+    await advanceTime(TIMING.AI_READY_TIMEOUT, 100);
+
+    expect(aiError).toHaveBeenCalledWith({ reason: "timeout" });
+    expect(astro.getState()).toBe("at-chat-box");
+    expect(rive.fired).toContain("Undo");
+  });
+});
+
+describe("animation queue", () => {
+  it("runs animations one at a time in the order they were queued", async () => {
+    createAstro();
+    const log = [];
+    const step = (name) => async () => {
+      log.push(`${name} start`);
+      await new Promise((r) => setTimeout(r, 100));
+      log.push(`${name} end`);
+      return name;
+    };
+
+    const first = astro.queueAnimation(step("a"));
+    const second = astro.queueAnimation(step("b"));
+    await advanceTime(250);
+
+    await expect(first).resolves.toBe("a");
+    await expect(second).resolves.toBe("b");
+    expect(log).toEqual(["a start", "a end", "b start", "b end"]);
+  });
+
+  it("debounced animations replace each other until the delay passes", async () => {
+    createAstro();
+    const ran = [];
+
+    const first = settle(astro.queueAnimation(() => ran.push("first"), { debounce: 100 }));
+    await advanceTime(50);
+    const second = astro.queueAnimation(() => ran.push("second"), { debounce: 100 });
+    await advanceTime(50);
+    expect(ran).toEqual([]);
+
+    await advanceTime(50);
+    expect(ran).toEqual(["second"]);
+    await expect(second).resolves.toBe(1);
+    const { error } = await first;
+    expect(error).toBeInstanceOf(AnimationCancelledError);
+    expect(error.reason).toBe(CANCEL_REASONS.SUPERSEDED);
+  });
+
+  it("cancelPrevious supersedes the running and queued animations", async () => {
+    createAstro();
+    const running = settle(astro.queueAnimation(() => new Promise((r) => setTimeout(r, 500))));
+    const queued = settle(astro.queueAnimation(() => {}));
+    const latest = astro.queueAnimation(() => "latest", { cancelPrevious: true });
+    await advanceTime(500);
+
+    expect((await running).error.reason).toBe(CANCEL_REASONS.SUPERSEDED);
+    expect((await queued).error.reason).toBe(CANCEL_REASONS.SUPERSEDED);
+    await expect(latest).resolves.toBe("latest");
+  });
+
+  it("cancelAnimations stops a move mid-flight", async () => {
+    createAstro();
+    await bindFakeRive();
+    const moveEnd = jest.fn();
+    astro.on("moveEnd", moveEnd);
+
+    const move = settle(astro.moveTo(400, 300));
+    await advanceTime(TIMING.SHRINK_DURATION + TIMING.DELAY_BEFORE_MOVE + TIMING.TRAVEL_DURATION / 2);
+    astro.cancelAnimations();
+    await advanceTime(100);
+
+    const { error } = await move;
+    expect(error).toBeInstanceOf(AnimationCancelledError);
+    expect(error.reason).toBe(CANCEL_REASONS.CANCELLED);
+    expect(moveEnd).not.toHaveBeenCalled();
+  });
+
+  it("shakes the wrapper with Web Animations", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+
+    const shake = astro.shake({ input: "UNDO" });
+    const [animation] = astro.elements.wrapper.getAnimations();
+    expect(animation.keyframes[1]).toEqual({ translate: `-${astro.config.animation.SHAKE_DISTANCE}px 0` });
+    await advanceTime(TIMING.SHAKE_DURATION);
+
+    await expect(shake).resolves.toBeUndefined();
+    expect(rive.fired).toEqual(["Undo"]);
+  });
+});
+
+describe("choreography", () => {
+  it("stopping a sequence cancels only the movements it queued", async () => {
+    createAstro();
+    await bindFakeRive();
+
+    const tour = astro.play([{ type: "move", x: 400, y: 300 }]);
+    await advanceTime(TIMING.DEBOUNCE_DELAY + TIMING.SHRINK_DURATION);
+    const other = astro.queueAnimation(() => "other"); // Waits behind the tour's move
+    tour.cancel();
+    await advanceTime(TIMING.DELAY_BEFORE_MOVE + 100);
+
+    const { error } = await settle(tour.finished);
+    expect(error).toBeInstanceOf(AnimationCancelledError);
+    await expect(other).resolves.toBe("other");
+  });
+
+  it("drops a waitFor listener when the sequence stops", async () => {
+    createAstro();
+    const unsubscribe = jest.fn();
+    jest.spyOn(astro, "once").mockReturnValue(unsubscribe);
+
+    const tour = astro.play([{ type: "waitFor", event: "moveEnd" }]);
+    await flushPromises();
+    tour.cancel();
+
+    expect((await settle(tour.finished)).error).toBeInstanceOf(AnimationCancelledError);
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops a waitFor timeout once the event arrives", async () => {
+    const clock = createClock();
+    createAstro({}, { clock });
+    const sleep = jest.spyOn(clock, "sleep");
+
+    const tour = astro.play([{ type: "waitFor", event: "moveEnd", timeout: 5000 }]);
+    await advanceTime(100);
+    astro.emit("moveEnd");
+    await expect(tour.finished).resolves.toBeUndefined();
+    const polls = sleep.mock.calls.length;
+    await advanceTime(5000);
+
+    expect(sleep.mock.calls.length).toBeLessThanOrEqual(polls + 1);
+  });
+
+  it("builds coordinate moves with their options", () => {
+    const { steps } = choreography().move({ x: 10, y: 20 }, { duration: 300, cancelPrevious: true }).build();
+    expect(steps).toEqual([{ type: "move", x: 10, y: 20, duration: 300, cancelPrevious: true }]);
+  });
+});
+
+describe("timers", () => {
+  it("gets bored after BOREDOM_TIMEOUT without activity", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+    const boredomChange = jest.fn();
+    astro.on("boredomChange", boredomChange);
+
+    await advanceTime(TIMING.BOREDOM_TIMEOUT - 100, 100);
+    expect(astro.isBored).toBe(false);
+    await advanceTime(100);
+
+    expect(astro.isBored).toBe(true);
+    expect(rive.input("Boredom").value).toBe(true);
+    expect(boredomChange).toHaveBeenLastCalledWith({ bored: true });
+  });
+
+  it("pointer movement wakes Astro and restarts the boredom timer", async () => {
+    createAstro();
+    await bindFakeRive();
+
+    await advanceTime(TIMING.BOREDOM_TIMEOUT, 100);
+    window.dispatchEvent(new MouseEvent("mousemove", { clientX: 10, clientY: 10 }));
+    expect(astro.isBored).toBe(false);
+
+    await advanceTime(TIMING.BOREDOM_TIMEOUT - 100, 100);
+    expect(astro.isBored).toBe(false);
+  });
+
+  it("blinks every BLINK_INTERVAL, but not while bored", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+    const blink = jest.fn();
+    astro.on("blink", blink);
+    const blinks = () => rive.fired.filter((name) => name === "Blink").length;
+
+    await advanceTime(TIMING.BLINK_INTERVAL * 2, 50);
+    expect(blinks()).toBe(2);
+    expect(blink).toHaveBeenCalledTimes(2);
+
+    astro.setBoredomState(true, false);
+    await advanceTime(TIMING.BLINK_INTERVAL * 2, 50);
+    expect(blinks()).toBe(2);
+  });
+
+  it("ignores the pointer while typing and resumes 1.5 s after the last key", async () => {
+    createAstro();
+    await bindFakeRive();
+
+    astro.onUserTyping(100, 100);
+    expect(astro.isTyping).toBe(true);
+    window.dispatchEvent(new MouseEvent("mousemove", { clientX: 900, clientY: 10 }));
+    expect(astro.lastPointer).toBeNull();
+
+    await advanceTime(1500, 100);
+    expect(astro.isTyping).toBe(false);
+  });
+
+  it("measures the caret after the field resizes on input", async () => {
+    createAstro();
+    const typing = jest.spyOn(astro, "onUserTyping");
+    const field = document.createElement("textarea");
+    document.body.appendChild(field);
+    field.focus();
+    astro.trackInput(field);
+
+    // Like ChatMock's onChange, an auto-grow handler runs after the tracker
+    let top = 0;
+    field.getBoundingClientRect = () => ({ left: 0, top, width: 200, height: 20 });
+    field.addEventListener("input", () => (top = -20));
+    field.dispatchEvent(new Event("input"));
+    await advanceTime(16);
+
+    expect(typing).toHaveBeenCalledWith(0, -20);
+  });
+
+  it("stops every timer when unbound", async () => {
+    createAstro();
+    const rive = await bindFakeRive();
+    astro.unbindRive();
+
+    await advanceTime(TIMING.BOREDOM_TIMEOUT, 100);
+    expect(rive.fired).toEqual([]);
+    expect(astro.isBored).toBe(false);
+  });
+});
+
+describe("clock", () => {
+  it("plays a move ten times faster on a 10x clock", async () => {
+    createAstro({}, { clock: createClock({ timeScale: 10 }) });
+    const rive = await bindFakeRive();
+
+    const done = settle(astro.onChatOpen());
+    await advanceTime(MOVE_DURATION / 10 + 50, 5);
+
+    expect((await done).status).toBe("resolved");
+    expect(rive.fired).toEqual(["Shrink", "Idle"]);
+  });
+
+  it("holds a move while paused and steps it frame by frame", async () => {
+    const clock = createClock();
+    createAstro({}, { clock });
+    const rive = await bindFakeRive();
+    const moveEnd = jest.fn();
+    astro.on("moveEnd", moveEnd);
+
+    astro.onChatOpen(); // Starts right away with the shrink
+    clock.pause();
+    await advanceTime(MOVE_DURATION);
+    expect(rive.fired).toEqual(["Shrink"]);
+    expect(moveEnd).not.toHaveBeenCalled();
+
+    for (let t = 0; t < MOVE_DURATION && !moveEnd.mock.calls.length; t += 16) {
+      clock.step(16);
+      await flushPromises();
+    }
+    expect(moveEnd).toHaveBeenCalledWith(expect.objectContaining({ endState: "idle" }));
+  });
+
+  it("stamps lifecycle history with clock time", () => {
+    const clock = createClock({ paused: true });
+    createAstro({}, { clock });
+    clock.step(500);
+
+    astro.onChatOpen();
+    expect(astro.getStateHistory()).toEqual([expect.objectContaining({ to: "greeting", at: 500 })]);
+  });
+
+  it("replays the same blinks and idle actions with the same seed", async () => {
+    // Math.random differs between the runs; only the seed may matter
+    const run = async (unseeded) => {
+      Math.random.mockReturnValue(unseeded);
+      const clock = createClock();
+      createAstro({ seed: 7, idle: { ENABLED: true } }, { clock });
+      const rive = await bindFakeRive();
+      const log = [];
+      astro.on("blink", () => log.push(`blink ${Math.round(clock.now())}`));
+      astro.on("idleStageChange", ({ stage }) => log.push(`${stage} ${Math.round(clock.now())}`));
+      await advanceTime(TIMING.BOREDOM_TIMEOUT * 2, 100);
+      astro.destroy();
+      return { log, fired: rive.fired };
+    };
+
+    const first = await run(0.1);
+    const second = await run(0.9);
+    expect(first.log.length).toBeGreaterThan(2);
+    expect(second).toEqual(first);
+  });
+});
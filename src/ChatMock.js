@@ -1,5 +1,17 @@
 // ChatMock.js
 import React, { useState, useRef, useEffect } from "react";
+import { createMockTransport } from "./chatTransport";
+import { ChatTransportError, TRANSPORT_ERRORS } from "./errors";
+
+// Streams canned replies in the browser (see chatTransport.js for real backends)
+const DEFAULT_TRANSPORT = createMockTransport();
+
+// Error bubble text per failure reason (see TRANSPORT_ERRORS)
+const ERROR_MESSAGES = {
+  [TRANSPORT_ERRORS.ABORTED]: "Stopped.",
+  timeout: "The reply is taking too long.",
+  default: "Sorry, something went wrong.",
+};
 
 const STARTER = [
   { id: 1, role: "greeting", text: "Hey There John\nHow Can I Help You Today" },
@@ -10,17 +22,30 @@ export default function ChatMock({
   onUserSendsMessage, 
   onAIReady, 
   onAIMessageShown,
-  onTyping,
-  astroRef 
+  onAIError,
+  astroRef,
+  transport = DEFAULT_TRANSPORT
 }) {
   const [messages, setMessages] = useState(STARTER);
   const [input, setInput] = useState("");
-  const [pending, setPending] = useState(false);
+  const [pending, setPending] = useState(false); // A reply is streaming (or about to)
+  const [typing, setTyping] = useState(false);   // Typing indicator until the first token
   const [hasFirstFocus, setHasFirstFocus] = useState(false);
 
   const listRef = useRef(null);
   const composerRef = useRef(null);
   const inputRef = useRef(null);
+  const requestRef = useRef(null); // AbortController of the reply in flight
+
+  // Abort the reply in flight on unmount (without reacting to it)
+  useEffect(() => () => {
+    const request = requestRef.current;
+    requestRef.current = null;
+    request?.abort();
+  }, []);
+
+  // Astro watches the caret while the user types (see caretTracking.js)
+  useEffect(() => astroRef?.current?.trackInput(inputRef.current), [astroRef]);
 
   // Auto-scroll to bottom when messages change
   useEffect(() => {
@@ -28,7 +53,28 @@ export default function ChatMock({
       top: listRef.current.scrollHeight, 
       behavior: "smooth" 
     });
-  }, [messages, pending]);
+  }, [messages, typing]);
+
+  // Resolve once Astro finishes its next travel (glides from layout changes don't count).
+  // Falls back to a timeout so the chat never hangs if Astro can't move.
+  const waitForAstroArrival = (timeoutMs = 5000) =>
+    new Promise((resolve) => {
+      const astro = astroRef?.current;
+      if (!astro?.on) {
+        setTimeout(resolve, timeoutMs);
+        return;
+      }
+      const timer = setTimeout(() => {
+        unsubscribe();
+        resolve();
+      }, timeoutMs);
+      const unsubscribe = astro.on("moveEnd", ({ glide }) => {
+        if (glide) return;
+        clearTimeout(timer);
+        unsubscribe();
+        resolve();
+      });
+    });
 
   // Handle input focus (first focus only)
   const handleInputFocus = () => {
@@ -37,99 +83,56 @@ export default function ChatMock({
       // Remove greeting message on first focus
       setMessages([]);
       const rect = inputRef.current?.getBoundingClientRect();
-      onInputFocus?.(rect);
+      onInputFocus?.(rect, inputRef.current);
       setHasFirstFocus(true);
     }
   };
 
-  // Get actual caret position in screen coordinates
-  const getCaretPosition = (textarea, caretIndex) => {
-    // Create a temporary div with the same styling as the textarea
-    const div = document.createElement('div');
-    const style = window.getComputedStyle(textarea);
-    
-    // Copy all relevant styles
-    div.style.position = 'absolute';
-    div.style.visibility = 'hidden';
-    div.style.whiteSpace = 'pre-wrap';
-    div.style.wordWrap = 'break-word';
-    div.style.font = style.font;
-    div.style.fontSize = style.fontSize;
-    div.style.fontFamily = style.fontFamily;
-    div.style.fontWeight = style.fontWeight;
-    div.style.lineHeight = style.lineHeight;
-    div.style.letterSpacing = style.letterSpacing;
-    div.style.padding = style.padding;
-    div.style.border = style.border;
-    div.style.width = style.width;
-    
-    document.body.appendChild(div);
-    
-    // Get text before caret
-    const textBeforeCaret = textarea.value.substring(0, caretIndex);
-    
-    // Create span for text before caret
-    const span = document.createElement('span');
-    span.textContent = textBeforeCaret;
-    div.appendChild(span);
-    
-    // Create span for caret position
-    const caretSpan = document.createElement('span');
-    caretSpan.textContent = '|';
-    div.appendChild(caretSpan);
-    
-    // Get caret position relative to the div
-    const caretRect = caretSpan.getBoundingClientRect();
-    const textareaRect = textarea.getBoundingClientRect();
-    
-    // Calculate actual caret position in screen coordinates
-    const caretX = textareaRect.left + (caretRect.left - div.getBoundingClientRect().left);
-    const caretY = textareaRect.top + (caretRect.top - div.getBoundingClientRect().top);
-    
-    // Clean up
-    document.body.removeChild(div);
-    
-    return { x: caretX, y: caretY };
-  };
-
-  // Handle typing - track caret position
+  // Auto-resize the textarea as the message grows
   const handleInputChange = (e) => {
-    const newValue = e.target.value;
-    setInput(newValue);
+    setInput(e.target.value);
     
-    // Auto-resize textarea based on content
     const textarea = e.target;
     textarea.style.height = 'auto';
     textarea.style.height = Math.min(textarea.scrollHeight, 120) + 'px';
-    
-    // Get actual caret position in screen coordinates
-    const caretIndex = e.target.selectionStart;
-    const caretPos = getCaretPosition(textarea, caretIndex);
-    
-    // Pass actual caret coordinates to Astro
-    onTyping?.(caretPos.x, caretPos.y);
   };
 
-  // Send message flow
-  const send = async () => {
+  // Send message flow: Astro follows the transport's real signals
+  const send = () => {
     const trimmed = input.trim();
     if (!trimmed || pending) return;
 
     console.log("[ChatMock] User sending message:", trimmed);
 
-    // 1. Add user message
+    // 1. Add user message and request the reply right away
     const userMsg = { id: Date.now(), role: "user", text: trimmed };
+    const history = [...messages, userMsg].filter((m) => (m.role === "user" || m.role === "assistant") && !m.error);
     setMessages((m) => [...m, userMsg]);
     setInput("");
+    requestReply(history);
+  };
+
+  // Ask again for the reply an error bubble stands in for
+  const retry = (errorMsg) => {
+    if (pending) return;
+    console.log("[ChatMock] Retrying reply");
+    setMessages((m) => m.filter((msg) => msg.id !== errorMsg.id));
+    requestReply(errorMsg.history);
+  };
+
+  const requestReply = async (history) => {
+    setPending(true);
+    const request = new AbortController();
+    requestRef.current = request;
 
-    // 2. Move Astro to where AI message will appear (without typing indicator yet)
-    // Wait a frame for the user message to render first
+    // 2. Move Astro to where AI message will appear (its loader runs while we wait)
+    // Wait a frame for the latest message to render first
     await new Promise(r => requestAnimationFrame(r));
     
     // Calculate position for typing bubble (same as before)
-    const typing = listRef.current?.querySelector(".bubble.assistant:last-child") || 
-                   listRef.current?.lastElementChild;
-    const rect = typing?.getBoundingClientRect?.() || {
+    const typingBubble = listRef.current?.querySelector(".bubble.assistant:last-child") || 
+                         listRef.current?.lastElementChild;
+    const rect = typingBubble?.getBoundingClientRect?.() || {
       left: 300,
       top: window.innerHeight / 2,
       width: 400,
@@ -137,41 +140,85 @@ export default function ChatMock({
     };
     
     console.log("[ChatMock] Moving Astro to AI message position");
-    onUserSendsMessage?.(rect);
-
-    // 3. Wait for Astro to arrive at position (movement + loader animation)
-    await new Promise((r) => setTimeout(r, 2000));
+    const arrival = onUserSendsMessage?.(rect, typingBubble);
 
-    // 4. Now show typing indicator (Astro is already there with loader)
-    console.log("[ChatMock] Showing typing indicator");
-    setPending(true);
+    // Astro's watchdog gives up on replies that never become ready; stop the request too
+    let timedOut = false;
+    const stopWatching = astroRef?.current?.on?.("aiError", ({ reason }) => {
+      if (reason !== "timeout") return;
+      timedOut = true;
+      request.abort();
+    });
 
-    // 5. Simulate AI processing time (typing animation + loader running)
-    await new Promise((r) => setTimeout(r, 2000));
+    // 3. Show the typing indicator once Astro arrives (unless tokens beat it there)
+    // Prefer the promise from Astro's lifecycle method; fall back to its moveEnd event
+    const arrived = typeof arrival?.then === "function"
+      ? arrival.catch((err) => console.warn("[ChatMock] Astro move interrupted:", err.reason || err.message))
+      : waitForAstroArrival();
+    let reply = "";
+    arrived.then(() => {
+      if (requestRef.current === request && !reply) setTyping(true);
+    });
 
-    // 6. AI is ready (trigger pulse while typing continues)
-    console.log("[ChatMock] AI ready - triggering pulse");
-    onAIReady?.();
+    // 4. Stream the reply: the first token means the AI is ready (pulse),
+    // then the bubble grows as tokens arrive
+    const replyId = Date.now() + 1;
+    let failure = null;
+    try {
+      for await (const token of transport.stream({ messages: history, signal: request.signal })) {
+        if (!reply) {
+          console.log("[ChatMock] First token - AI ready");
+          onAIReady?.();
+          setTyping(false);
+          setMessages((m) => [...m, { id: replyId, role: "assistant", text: "" }]);
+        }
+        reply += token;
+        const text = reply;
+        setMessages((m) => m.map((msg) => (msg.id === replyId ? { ...msg, text } : msg)));
+      }
+    } catch (err) {
+      failure = err;
+    }
+    stopWatching?.();
+    if (!failure && !reply) failure = new ChatTransportError(TRANSPORT_ERRORS.SERVER, "empty reply");
+    if (requestRef.current !== request) return; // Unmounted mid-reply
+    requestRef.current = null;
+    setPending(false);
+    setTyping(false);
 
-    // 7. Continue typing with pulse for a bit longer
-    await new Promise((r) => setTimeout(r, 1000));
+    // 5. Stream ended: show an error bubble with a retry button on failure,
+    // timeout or abort (Astro shakes and returns to the chat box)
+    await arrived;
+    if (failure) {
+      const reason = timedOut ? "timeout" : failure.reason;
+      console.warn(`[ChatMock] Reply failed (${reason}):`, failure.message);
+      setMessages((m) => [...m, {
+        id: replyId + 1,
+        role: "assistant",
+        error: true,
+        text: ERROR_MESSAGES[reason] || ERROR_MESSAGES.default,
+        history,
+      }]);
+      // After a timeout Astro has already reacted
+      if (!timedOut) onAIError?.(reason, inputRef.current?.getBoundingClientRect?.(), inputRef.current);
+      return;
+    }
 
-    // 8. Render AI message (hide typing, show response)
-    const reply = generateReply(trimmed);
-    const newMsg = { id: Date.now() + 1, role: "assistant", text: reply };
-    setMessages((m) => [...m, newMsg]);
-    setPending(false);
+    astroRef?.current?.reactTo?.(reply); // Mood from what the reply says
 
-    // 9. After message renders, move Astro back to chat box
+    // 6. After message renders, move Astro back to chat box
     requestAnimationFrame(() => {
       const rect = inputRef.current?.getBoundingClientRect?.();
       if (rect) {
         console.log("[ChatMock] Moving Astro back to chat box");
-        onAIMessageShown?.(rect);
+        onAIMessageShown?.(rect, inputRef.current);
       }
     });
   };
 
+  // Abort the streaming reply (Astro plays the error reaction)
+  const stop = () => requestRef.current?.abort();
+
   const onKeyDown = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
@@ -183,11 +230,18 @@ export default function ChatMock({
     <div className="chat">
       <div className="chat-list" ref={listRef}>
         {messages.map((m) => (
-          <div key={m.id} className={`bubble ${m.role}`}>
-            <div className="bubble-inner">{m.text}</div>
+          <div key={m.id} className={`bubble ${m.role}${m.error ? " error" : ""}`}>
+            <div className="bubble-inner">
+              {m.text}
+              {m.error && (
+                <button className="retry" onClick={() => retry(m)} disabled={pending}>
+                  Retry
+                </button>
+              )}
+            </div>
           </div>
         ))}
-        {pending && (
+        {typing && (
           <div className="bubble assistant">
             <div className="bubble-inner typing">
               <span className="dot"></span>
@@ -209,42 +263,12 @@ export default function ChatMock({
           rows={1}
           style={{ minHeight: '20px', height: '20px' }}
         />
-        <button onClick={send} disabled={!input.trim() || pending}>
-          {pending ? "..." : "Send"}
-        </button>
+        {pending ? (
+          <button onClick={stop}>Stop</button>
+        ) : (
+          <button onClick={send} disabled={!input.trim()}>Send</button>
+        )}
       </div>
     </div>
   );
 }
-
-// Generate contextual replies
-function generateReply(text) {
-  const t = text.toLowerCase();
-  
-  // Check for Rive state keywords
-  if (t.includes("publish")) return "Great! The publish animation is triggered! 🚀";
-  if (t.includes("undo")) return "Undo animation played! Going back... ↩️";
-  if (t.includes("idea")) return "💡 Idea spark animation triggered!";
-  if (t.includes("loader") || t.includes("loading")) return "The loader animation is spinning! ⏳";
-  if (t.includes("pulse")) return "Pulsing with excitement! 💫";
-  if (t.includes("idle")) return "Back to idle state, just chilling... 😌";
-  if (t.includes("shrink") || t.includes("small")) return "Getting smaller... 🫧";
-  if (t.includes("bored")) return "Yawn... triggering boredom animation... 😴";
-  
-  // Movement related
-  if (t.includes("move")) return "I can move anywhere on the screen! Watch the trail effect! ✨";
-  if (t.includes("animation")) return "All animations are working! Try the control buttons above.";
-  if (t.includes("hello") || t.includes("hi")) return "Hello! I'm Astro, your animated assistant! 👋";
-  if (t.includes("test")) return "Testing complete! All systems operational. ✅";
-  
-  // Default responses
-  const responses = [
-    "That's interesting! Tell me more. 🤔",
-    "I see what you mean! Let me think about that... 💭",
-    "Great point! Here's what I think... 🎯",
-    "Thanks for sharing! Want to try the animations? ✨",
-    "Got it! Try clicking the control buttons above! 🎮",
-  ];
-  
-  return responses[Math.floor(Math.random() * responses.length)];
-}
\ No newline at end of file
@@ -0,0 +1,130 @@
+import React from "react";
+import ChatMock from "./ChatMock";
+import { createMockTransport } from "./chatTransport";
+import { advanceTime, click, render, typeInto } from "./testing/helpers";
+
+const FIRST_TOKEN_DELAY = 500;
+const TOKEN_DELAY = 50;
+const ARRIVAL_DELAY = 300; // How long the fake Astro takes to reach the reply
+
+let log;
+let props;
+let view;
+
+// The parts of the Astro ref ChatMock uses
+const createFakeAstro = () => ({
+  trackInput: () => () => {},
+  on: () => () => {},
+  reactTo: jest.fn((text) => log.push(`reactTo ${text}`)),
+});
+
+function renderChat(transportOptions = {}) {
+  const transport = createMockTransport({
+    reply: () => "Hi there",
+    firstTokenDelay: FIRST_TOKEN_DELAY,
+    tokenDelay: TOKEN_DELAY,
+    ...transportOptions,
+  });
+  props = {
+    astroRef: { current: createFakeAstro() },
+    transport,
+    onInputFocus: jest.fn(),
+    onUserSendsMessage: jest.fn(() => {
+      log.push("onUserSendsMessage");
+      return new Promise((resolve) => setTimeout(resolve, ARRIVAL_DELAY));
+    }),
+    onAIReady: jest.fn(() => log.push("onAIReady")),
+    onAIMessageShown: jest.fn(() => log.push("onAIMessageShown")),
+    onAIError: jest.fn((reason) => log.push(`onAIError ${reason}`)),
+  };
+  view = render(<ChatMock {...props} />);
+  return view.container;
+}
+
+const textarea = () => view.container.querySelector("textarea");
+const sendButton = () => view.container.querySelector(".composer button");
+const bubbles = (role) => [...view.container.querySelectorAll(`.bubble.${role}`)].map((el) => el.textContent);
+
+function send(text) {
+  typeInto(textarea(), text);
+  click(sendButton());
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  log = [];
+});
+
+afterEach(() => {
+  view?.unmount();
+  view = null;
+  jest.useRealTimers();
+});
+
+describe("ChatMock.send", () => {
+  it("moves Astro, shows the typing indicator, streams the reply and returns Astro", async () => {
+    renderChat();
+    send("Hello");
+    expect(bubbles("user")).toEqual(["Hello"]);
+    expect(textarea().value).toBe("");
+
+    // Astro heads for the reply on the next frame
+    await advanceTime(16);
+    expect(props.onUserSendsMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ top: expect.any(Number) }),
+      expect.anything()
+    );
+
+    // Typing indicator once Astro arrives, until the first token
+    await advanceTime(ARRIVAL_DELAY);
+    expect(view.container.querySelector(".typing")).not.toBeNull();
+
+    await advanceTime(FIRST_TOKEN_DELAY - ARRIVAL_DELAY);
+    expect(props.onAIReady).toHaveBeenCalledTimes(1);
+    expect(view.container.querySelector(".typing")).toBeNull();
+    expect(bubbles("assistant")).toEqual(["Hi "]);
+
+    await advanceTime(TOKEN_DELAY + 50);
+    expect(bubbles("assistant")).toEqual(["Hi there"]);
+    expect(log).toEqual(["onUserSendsMessage", "onAIReady", "reactTo Hi there", "onAIMessageShown"]);
+  });
+
+  it("ignores blank messages and sends while a reply streams", async () => {
+    renderChat();
+    send("   ");
+    expect(bubbles("user")).toEqual([]);
+
+    send("First");
+    await advanceTime(16);
+    typeInto(textarea(), "Second");
+    textarea().dispatchEvent(new KeyboardEvent("keydown", { key: "Enter", bubbles: true }));
+    await advanceTime(FIRST_TOKEN_DELAY + TOKEN_DELAY * 2);
+
+    expect(bubbles("user")).toEqual(["First"]);
+    expect(props.onUserSendsMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it("shows a retryable error bubble when the reply fails", async () => {
+    renderChat({ fail: () => true });
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    send("Hello");
+    await advanceTime(FIRST_TOKEN_DELAY + 16);
+
+    expect(bubbles("error")).toEqual(["Sorry, something went wrong.Retry"]);
+    expect(log).toEqual(["onUserSendsMessage", "onAIError server"]);
+    expect(props.onAIMessageShown).not.toHaveBeenCalled();
+  });
+
+  it("stops a streaming reply", async () => {
+    renderChat();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    send("Hello");
+    await advanceTime(FIRST_TOKEN_DELAY + 16);
+
+    click(sendButton()); // Stop
+    await advanceTime(ARRIVAL_DELAY);
+
+    expect(bubbles("error")).toEqual(["Stopped.Retry"]);
+    expect(log).toEqual(["onUserSendsMessage", "onAIReady", "onAIError aborted"]);
+  });
+});
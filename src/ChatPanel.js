@@ -0,0 +1,114 @@
+// ChatPanel.js
+// One chat with its own Astro. Wires ChatMock's callbacks to the Astro ref;
+// App renders one panel, or two side by side in split view.
+import React, { useRef, useEffect, useState } from "react";
+import Astro from "./Astro";
+import ChatMock from "./ChatMock";
+
+// Inside a panel, "top-middle" is the middle of the panel itself
+// (the default is offset for the single-chat layout's control panel)
+const PANEL_CONFIG = {
+  positions: {
+    TOP_MIDDLE: (x, y, viewport) => ({
+      x: viewport.left + viewport.width / 2,
+      y: viewport.top + viewport.height / 2 - 120,
+    }),
+  },
+};
+
+export default function ChatPanel({ id, astroRef, coordinator, zIndex, split, hidden, muted, transport }) {
+  const panelRef = useRef(null);
+  const [isFirstFocus, setIsFirstFocus] = useState(true);
+
+  // ========== CHAT INTEGRATION ==========
+  // Each handler returns Astro's promise so callers can await the animation
+
+  // Handle first focus from real chat input
+  // Prefer anchoring to the element so Astro follows it through scroll/resize
+  const handleChatInputFocus = (rect, element) => {
+    if (isFirstFocus && element) {
+      setIsFirstFocus(false);
+      return astroRef.current?.onFirstInputFocus(element);
+    } else if (isFirstFocus && rect) {
+      const x = rect.left;  // Left edge of input field
+      const y = rect.top;   // Top edge of input field
+      setIsFirstFocus(false);
+      return astroRef.current?.onFirstInputFocus(x, y);
+    }
+  };
+
+  // Handle message send from chat
+  const handleChatMessageSent = (aiMessageRect, element) => {
+    if (element) {
+      return astroRef.current?.onUserSendsMessage(element);
+    } else if (aiMessageRect) {
+      const x = aiMessageRect.left;
+      const y = aiMessageRect.top + aiMessageRect.height / 2;
+      return astroRef.current?.onUserSendsMessage(x, y);
+    }
+  };
+
+  // Handle AI ready (simulate delay)
+  const handleChatAIReady = () => {
+    return astroRef.current?.onAIMessageReady();
+  };
+
+  // Handle AI message shown
+  const handleChatAIShown = (chatBoxRect, element) => {
+    if (element) {
+      return astroRef.current?.onAIMessageShown(element);
+    } else if (chatBoxRect) {
+      const x = chatBoxRect.left;  // Left edge of input field
+      const y = chatBoxRect.top;   // Top edge of input field
+      return astroRef.current?.onAIMessageShown(x, y);
+    }
+  };
+
+  // Handle a failed, timed out or stopped reply (Astro returns to the chat box)
+  const handleChatAIError = (reason, chatBoxRect, element) => {
+    if (element) {
+      return astroRef.current?.onAIMessageError(reason, element);
+    } else if (chatBoxRect) {
+      return astroRef.current?.onAIMessageError(reason, chatBoxRect.left, chatBoxRect.top);
+    }
+    return astroRef.current?.onAIMessageError(reason);
+  };
+
+  // Auto-trigger chat open on mount
+  useEffect(() => {
+    // Wait a moment for everything to load
+    const timer = setTimeout(() => {
+      astroRef.current?.onChatOpen();
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [astroRef]);
+
+  // The panel moves when split view toggles; re-resolve Astro's resting spot
+  useEffect(() => {
+    astroRef.current?.relayout();
+  }, [astroRef, split]);
+
+  return (
+    <div className="chat-panel" ref={panelRef}>
+      <Astro
+        ref={astroRef}
+        id={id}
+        coordinator={coordinator}
+        viewport={split ? panelRef : undefined}
+        config={split ? PANEL_CONFIG : undefined}
+        zIndex={zIndex}
+        hidden={hidden}
+        muted={muted}
+      />
+      <ChatMock
+        onInputFocus={handleChatInputFocus}
+        onUserSendsMessage={handleChatMessageSent}
+        onAIReady={handleChatAIReady}
+        onAIMessageShown={handleChatAIShown}
+        onAIError={handleChatAIError}
+        astroRef={astroRef}
+        transport={transport}
+      />
+    </div>
+  );
+}
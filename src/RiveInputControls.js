@@ -0,0 +1,68 @@
+// RiveInputControls.js
+import React, { useEffect, useState } from "react";
+
+// Controls generated from the loaded state machine (see riveInputs.js): a
+// button per trigger, a checkbox per boolean and a number field per number
+// input, plus what didn't match the inputs Astro expects. Works with any
+// Rive file, so designers can try renamed or new inputs without code changes.
+export default function RiveInputControls({ astroRef }) {
+  const [inputs, setInputs] = useState([]);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const astro = astroRef?.current;
+    if (!astro) return;
+    // Rive may have loaded before this mounted
+    setInputs(astro.getRiveInputs());
+    setReport(astro.getRiveDiagnostics());
+    return astro.on("inputsBound", (detail) => {
+      setInputs(detail.inputs);
+      setReport(detail.report);
+    });
+  }, [astroRef]);
+
+  const setValue = (name, value) => {
+    const astro = astroRef.current;
+    if (astro?.setRiveInput(name, value)) setInputs(astro.getRiveInputs());
+  };
+
+  if (!inputs.length) return <p className="rive-inputs-empty">Waiting for Rive…</p>;
+
+  const ofType = (type) => inputs.filter((input) => input.type === type);
+
+  return (
+    <div className="rive-inputs">
+      <div className="button-stack">
+        {ofType("trigger").map(({ name }) => (
+          <button key={name} onClick={() => astroRef.current?.fireRiveInput(name)}>
+            {name}
+          </button>
+        ))}
+      </div>
+      {ofType("boolean").map(({ name, value }) => (
+        <label key={name} className="rive-input">
+          <input type="checkbox" checked={value} onChange={(e) => setValue(name, e.target.checked)} />
+          {name}
+        </label>
+      ))}
+      {ofType("number").map(({ name, value }) => (
+        <label key={name} className="rive-input">
+          {name}
+          <input type="number" value={Math.round(value)} onChange={(e) => setValue(name, Number(e.target.value))} />
+        </label>
+      ))}
+      {report && !report.ok && (
+        <ul className="rive-diagnostics">
+          {report.missing.map(({ key, name }) => (
+            <li key={key}>Missing {key} ("{name}")</li>
+          ))}
+          {report.mistyped.map(({ key, name, type, actual }) => (
+            <li key={key}>
+              {key} ("{name}") is a {actual}, expected a {type}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,2 @@
+// Jest uses the fake runtime for @rive-app/react-webgl2 (see testing/fakeRive.js)
+export * from "../../testing/fakeRive";
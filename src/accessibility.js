@@ -0,0 +1,93 @@
+// accessibility.js
+// Page-wide accessibility helpers shared by every Astro: one
+// prefers-reduced-motion listener and one ARIA live region.
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// ========================================
+// ========== REDUCED MOTION =============
+// ========================================
+
+const motionSubscribers = new Set();
+let motionQuery = null;
+
+const getMotionQuery = () => {
+  if (!motionQuery && typeof window !== "undefined" && window.matchMedia) {
+    motionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+  }
+  return motionQuery;
+};
+
+const handleMotionChange = (e) => {
+  // Copy so subscribers can unsubscribe while we iterate
+  [...motionSubscribers].forEach((callback) => callback(e.matches));
+};
+
+export function prefersReducedMotion() {
+  return !!getMotionQuery()?.matches;
+}
+
+// Call callback(reduced) whenever the preference changes; returns an
+// unsubscribe function. The media listener exists only while someone is subscribed.
+export function subscribeReducedMotion(callback) {
+  const query = getMotionQuery();
+  if (!query) return () => {};
+
+  if (motionSubscribers.size === 0) {
+    query.addEventListener("change", handleMotionChange);
+  }
+  motionSubscribers.add(callback);
+
+  return () => {
+    if (!motionSubscribers.delete(callback)) return;
+    if (motionSubscribers.size === 0) {
+      query.removeEventListener("change", handleMotionChange);
+    }
+  };
+}
+
+// ========================================
+// ========== LIVE REGION ================
+// ========================================
+
+// Visually hidden but still read by screen readers
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: "1px",
+  height: "1px",
+  margin: "-1px",
+  padding: "0",
+  border: "0",
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+
+let liveRegion = null;
+let announceTimer = null;
+
+const getLiveRegion = () => {
+  if (!liveRegion || !liveRegion.isConnected) {
+    liveRegion = document.createElement("div");
+    liveRegion.setAttribute("role", "status");
+    liveRegion.setAttribute("aria-live", "polite");
+    liveRegion.setAttribute("aria-atomic", "true");
+    liveRegion.dataset.astroLiveRegion = "";
+    Object.assign(liveRegion.style, VISUALLY_HIDDEN);
+    document.body.appendChild(liveRegion);
+  }
+  return liveRegion;
+};
+
+// Read `message` to screen reader users (politely, after current speech)
+export function announce(message) {
+  if (typeof document === "undefined" || !message) return;
+  const region = getLiveRegion();
+
+  // Clear first so the same message twice in a row is announced again
+  region.textContent = "";
+  clearTimeout(announceTimer);
+  announceTimer = setTimeout(() => {
+    region.textContent = message;
+  }, 100);
+}
@@ -0,0 +1,106 @@
+// anchoring.js
+// Keeps a screen point attached to a DOM element so Astro can follow it
+// through scrolls, resizes, auto-growing inputs and layout shifts.
+
+import { astroClock } from "./clock";
+
+// ========================================
+// ========== PLACEMENTS =================
+// ========================================
+
+// Where on the target's bounding rect the anchor point sits
+export const ANCHOR_PLACEMENTS = {
+  "top-start": (r) => ({ x: r.left, y: r.top }),
+  top: (r) => ({ x: r.left + r.width / 2, y: r.top }),
+  "top-end": (r) => ({ x: r.right, y: r.top }),
+  right: (r) => ({ x: r.right, y: r.top + r.height / 2 }),
+  "bottom-end": (r) => ({ x: r.right, y: r.bottom }),
+  bottom: (r) => ({ x: r.left + r.width / 2, y: r.bottom }),
+  "bottom-start": (r) => ({ x: r.left, y: r.bottom }),
+  left: (r) => ({ x: r.left, y: r.top + r.height / 2 }),
+  center: (r) => ({ x: r.left + r.width / 2, y: r.top + r.height / 2 }),
+};
+
+// Minimum movement (in pixels) before the anchor is considered moved
+const MOVE_THRESHOLD = 0.5;
+
+// ========================================
+// ========== HELPERS ====================
+// ========================================
+
+export function isElement(value) {
+  return typeof Element !== "undefined" && value instanceof Element;
+}
+
+// Resolve the screen point for an element, placement and offset
+export function resolveAnchorPoint(element, placement = "top-start", offset = {}) {
+  const place = ANCHOR_PLACEMENTS[placement];
+  if (!place) {
+    throw new Error(
+      `[Astro] Unknown anchor placement: ${placement}. Available: ${Object.keys(ANCHOR_PLACEMENTS).join(", ")}`
+    );
+  }
+
+  const rect = element.getBoundingClientRect();
+  const point = place(rect);
+  return {
+    x: point.x + (offset.x || 0),
+    y: point.y + (offset.y || 0),
+  };
+}
+
+// ========================================
+// ========== ANCHOR TRACKING ============
+// ========================================
+
+// Watch an element and call onMove(point) whenever its anchor point changes,
+// checking on `clock` frames (see clock.js). Returns a stop function that
+// removes every listener and observer.
+export function trackAnchor(element, { placement = "top-start", offset = {}, clock = astroClock } = {}, onMove) {
+  let last = resolveAnchorPoint(element, placement, offset);
+  let frameId = null;
+  let stopped = false;
+
+  // Batch all change signals into a single read per frame
+  const scheduleCheck = () => {
+    if (stopped || frameId !== null) return;
+    frameId = clock.requestFrame(() => {
+      frameId = null;
+      if (stopped || !element.isConnected) return;
+
+      const next = resolveAnchorPoint(element, placement, offset);
+      if (
+        Math.abs(next.x - last.x) > MOVE_THRESHOLD ||
+        Math.abs(next.y - last.y) > MOVE_THRESHOLD
+      ) {
+        last = next;
+        onMove(next);
+      }
+    });
+  };
+
+  // Window resize and any scrolling container (scroll does not bubble, so capture)
+  window.addEventListener("resize", scheduleCheck);
+  window.addEventListener("scroll", scheduleCheck, true);
+
+  // Element size changes (e.g. textarea auto-grow)
+  const resizeObserver =
+    typeof ResizeObserver !== "undefined" ? new ResizeObserver(scheduleCheck) : null;
+  resizeObserver?.observe(element);
+
+  // Layout shifts caused by content being added or removed elsewhere. Style
+  // and class changes aren't watched: they include Astro's own per-frame
+  // transform writes, and the listeners above catch geometry changes.
+  const mutationObserver =
+    typeof MutationObserver !== "undefined" ? new MutationObserver(scheduleCheck) : null;
+  mutationObserver?.observe(document.body, { childList: true, subtree: true });
+
+  return () => {
+    stopped = true;
+    if (frameId !== null) clock.cancelFrame(frameId);
+    window.removeEventListener("resize", scheduleCheck);
+    window.removeEventListener("scroll", scheduleCheck, true);
+    resizeObserver?.disconnect();
+    mutationObserver?.disconnect();
+  };
+}
@@ -0,0 +1,548 @@
+// astroConfig.js
+// Rive file, timing, layout and appearance settings shared by the
+// AstroController and the React component. The constants below are the
+// defaults; products override them per instance through the `config` prop,
+// <AstroConfigProvider> or `new AstroController({ config })`:
+//
+//   <Astro config={{ timing: { TRAVEL_DURATION: 800 }, colors: { brand: { r: 0, g: 120, b: 255 } } }} />
+
+import { ANCHOR_PLACEMENTS } from "./anchoring";
+import { hasPathGenerator } from "./travelPaths";
+import { checkTheme } from "./themes";
+import { hasGazeCurve } from "./gaze";
+import { IDLE_ACTION_TYPES, IDLE_STAGES } from "./idleBehavior";
+import { RIVE_RENDERERS } from "./riveRenderers";
+
+// ========================================
+// ========== CONFIGURATION ==============
+// ========================================
+
+// Rive File and State Machine Configuration
+export const RIVE_FILE = "astro_master_(31_color).riv";
+export const STATE_MACHINE_NAME = "Astro State Machine";
+
+// Renderer to start the fallback chain at (see riveRenderers.js). "auto"
+// picks WebGL2 where available - the only renderer with vector feathering
+// (the glow around the eyes) - then WebGL1, Canvas and an SVG placeholder.
+export const RIVE_RENDERER = "auto";
+
+// Seed for everything Astro randomizes - blink intervals, idle actions,
+// glances, drift and travel paths (unless animation.PATH_SEED is set) - so
+// a run can be replayed. null = Math.random. Time itself comes from a clock
+// (see clock.js).
+export const RANDOM_SEED = null;
+
+// Character variants Astro can switch between at runtime (see riveAssets.js).
+// stateMachine defaults to stateMachineName; every variant's state machine
+// should have the inputs below (checked on load, see riveInputs.js).
+export const RIVE_VARIANTS = {
+  color: { src: RIVE_FILE },
+  classic: { src: "astro_master.riv" }, // Original file, without the color inputs
+};
+
+// Rive State Names (these must match your Rive file exactly)
+export const RIVE_STATES = {
+  IDLE: "Idle", //trigger
+  UNDO: "Undo", //trigger
+  IDEA_SPARK: "Idea_Spark", //trigger
+  BOREDOM: "Boredom", //boolean
+  BIG_LOADER: "Big_Loader", //trigger - not currently used
+  SMALL_LOADER: "Small_Loader", //trigger
+  SHRINK: "Shrink", //trigger
+  PULSE: "Pulse", //trigger
+  PUBLISH: "Publish", //trigger
+  BLINK: "Blink", //trigger 
+  RED_COLOR: "Red", //astro red amount (0-255),
+  GREEN_COLOR: "Green", //astro green amount (0-255),
+  BLUE_COLOR: "Blue", //astro blue amount (0-255),
+};
+
+// Rive Input Names for eye tracking
+export const RIVE_INPUTS = {
+  MOUSE_X: "xAxis", //number input
+  MOUSE_Y: "yAxis", //number input
+};
+
+// Kind of input each RIVE_STATES / RIVE_INPUTS key must be in the state
+// machine; checked when Rive loads (see riveInputs.js)
+export const RIVE_INPUT_TYPES = {
+  IDLE: "trigger",
+  UNDO: "trigger",
+  IDEA_SPARK: "trigger",
+  BOREDOM: "boolean",
+  BIG_LOADER: "trigger",
+  SMALL_LOADER: "trigger",
+  SHRINK: "trigger",
+  PULSE: "trigger",
+  PUBLISH: "trigger",
+  BLINK: "trigger",
+  RED_COLOR: "number",
+  GREEN_COLOR: "number",
+  BLUE_COLOR: "number",
+  MOUSE_X: "number",
+  MOUSE_Y: "number",
+};
+
+// Eye tracking smoothing configuration
+export const EYE_TRACKING = {
+  SMOOTHING_FACTOR: 0.2,        // Lower = smoother/slower, Higher = more responsive
+  DELAY_MS: 3,                 // Delay before eyes start following target (in milliseconds)
+  BOREDOM_EYE_PLACEMENT: { x: 10, y: 10 }, // Where eyes look when bored (0-100 range)
+  LOOK_RANGE: 300,             // Distance (in pixels) at which the eyes turn all the way
+  LOOK_CURVE: "linear",        // "linear", "ease-out", "ease-in" or (0-1) => 0-1 (see gaze.js)
+};
+
+// Animation Timing Configuration (in milliseconds)
+export const TIMING = {
+  SHRINK_DURATION: 450,        // Time for Astro to shrink before moving
+  TRAVEL_DURATION: 1000,        // Time for Astro to travel between positions
+  DELAY_BEFORE_MOVE: 400,       // Pause after shrinking before starting movement
+  RETURN_TO_CHAT_DELAY: 500,   // Wait time before returning to chat box
+  DEBOUNCE_DELAY: 100,          // Debounce for preventing rapid triggers
+  ANIMATION_FRAME_DELAY: 16,    // Single frame delay (60fps)
+  RIVE_STATE_TIMEOUT: 1000,     // Max wait for Rive to report a state change after a trigger
+  BOREDOM_TIMEOUT: 7000,    // Time of inactivity before triggering boredom (7 seconds for testing)
+  DOT_FADE_DURATION: 500,      // Duration for the initial black-to-blue fade of the lead dot
+  BLINK_INTERVAL: 3050,        // Base time between blinks (3.05 seconds)
+  BLINK_VARIATION: 2950,        // Random variation in blink timing (+/- 2.95 seconds)
+  BLINK_MIN_INTERVAL: 100,      // Minimum time between blinks (0.1 seconds for double blinks)
+  LAYOUT_SETTLE_DELAY: 150,     // Wait for resize/scroll to settle before re-positioning
+  GLIDE_DURATION: 350,          // Time for Astro to glide to a re-resolved resting position
+  COLOR_TRANSITION_DURATION: 400, // Default tween time for changeAstroColor
+  SHAKE_DURATION: 500,          // Length of the error shake
+  GLANCE_DURATION: 1500,        // How long lookAt / lookAtElement hold the eyes
+  AI_READY_TIMEOUT: 20000,      // Watchdog: fail a reply that isn't ready after this long (0 = never)
+  ASSET_SWAP_DURATION: 300,     // Cross-fade between Rive files when the variant changes
+};
+
+// Visual Animation Configuration
+export const ANIMATION_CONFIG = {
+  // Trail effect configuration
+  TRAIL_RENDERER: "canvas",     // "canvas" (one canvas, particle dots) or "dom" (offset-path divs)
+  TRAIL_COUNT: 19,              // Number of dots in the trail
+  TRAIL_STAGGER: 1.5,           // Milliseconds between each trail dot
+  TRAIL_FADE: 0.25,             // Minimum opacity for trail dots
+  TRAIL_MIN_SCALE: 0.9,         // Minimum scale for trail dots
+  TRAIL_BLUR: 0.6,              // Blur amount for trail dots (in pixels, DOM trail)
+  TRAIL_LENGTH: 30,             // How far the trail lags behind the lead dot (milliseconds, canvas trail)
+  TRAIL_GLOW: 4,                // Glow radius around each dot (in pixels, canvas trail)
+  TRAIL_GRADIENT_END: null,     // Color the trail fades into at its tail (null = DOT_COLOR, canvas trail)
+  TRAIL_FADE_DURATION: 120,     // Time for the trail to fade out on arrival (canvas trail)
+  
+  // Dot appearance
+  DOT_SIZE: 12,                 // Size of the movement dots (in pixels)
+  DOT_COLOR: "#3AA0FF",         // Color of the movement dots (until a theme is applied)
+  LEAD_START_COLOR: "#000000",  // Color the lead dot fades in from
+  
+  // Motion path configuration
+  SWAY_AMOUNT: 100,              // How much the path curves
+  CONTROL_POINT_1: 0.33,        // First bezier control point position (0-1)
+  CONTROL_POINT_2: 0.66,        // Second bezier control point position (0-1)
+  EASING: "cubic-bezier(0.22,1,0.36,1)", // CSS easing function
+  PATH: "sway",                 // Default travel path generator (see travelPaths.js)
+  PATH_SEED: null,              // Seed for reproducible paths (null = random every time)
+
+  // Error reaction
+  SHAKE_DISTANCE: 8,            // How far the character shakes to each side (in pixels)
+};
+
+// Accessibility Configuration
+export const ACCESSIBILITY_CONFIG = {
+  REDUCED_MOTION: "auto",       // "auto" follows prefers-reduced-motion; true/false force it
+  CROSSFADE_DURATION: 300,      // Fade out/in that replaces trail travel under reduced motion
+  IDLE_DAMPING: 0.3,            // Share of the eye-tracking range kept under reduced motion (boredom is skipped)
+  INTERACTIVE: true,            // false lets clicks pass through the character (pointer-events: none)
+  ANNOUNCE: true,               // Announce lifecycle states in an ARIA live region
+  ANNOUNCEMENTS: {              // Lifecycle state -> message read by screen readers
+    "awaiting-ai": "Astro is thinking",
+    "ai-ready": "Response ready",
+  },
+};
+
+// Mood Configuration (see moods.js)
+// Each mood plays a Rive trigger once (twice at intensity >= repeatAbove) or
+// holds a boolean input while it lasts. Higher priority moods can't be
+// replaced by lower ones until they decay; decay is the time a full-intensity
+// mood takes to fade. keywords drive detection from message text.
+export const MOODS = {
+  thinking: {
+    trigger: "IDEA_SPARK",
+    priority: 1,
+    decay: 6000,
+    keywords: ["think", "thinking", "let me", "considering", "idea", "💭", "💡"],
+  },
+  excited: {
+    trigger: "PULSE",
+    priority: 2,
+    decay: 4000,
+    repeatAbove: 0.8,
+    keywords: ["great", "awesome", "amazing", "excited", "wow", "love", "🚀", "✨", "💫", "🎯"],
+  },
+  success: {
+    trigger: "PUBLISH",
+    priority: 3,
+    decay: 3000,
+    keywords: ["done", "complete", "success", "fixed", "works", "operational", "✅", "🎉"],
+  },
+  confused: {
+    hold: "BOREDOM",
+    priority: 3,
+    decay: 5000,
+    keywords: ["confused", "not sure", "unclear", "hmm", "don't understand", "what do you mean", "🤔", "❓"],
+  },
+  error: {
+    trigger: "UNDO",
+    priority: 4,
+    decay: 5000,
+    keywords: ["error", "failed", "broken", "sorry", "can't", "cannot", "went wrong", "❌", "⚠️"],
+  },
+};
+
+// Idle Behavior Configuration (see idleBehavior.js)
+// While nobody interacts, Astro gets bored after timing.BOREDOM_TIMEOUT,
+// restless after RESTLESS_AFTER and falls asleep after SLEEP_AFTER. Every
+// ACTION_INTERVAL it may play an ambient action: each action's weights give
+// how likely it is per stage (missing = never) and cooldown how long it waits
+// before playing again. Ambient actions only start while the animation queue
+// is empty and give way to any other animation.
+export const IDLE_BEHAVIOR = {
+  ENABLED: true,                // Play ambient actions (stages and sleep still happen when false)
+  ACTION_INTERVAL: 4000,        // Base time between ambient actions
+  ACTION_VARIATION: 1500,       // Random variation in that time (+/-)
+  RESTLESS_AFTER: 20000,        // Inactivity before the deeper boredom stage (0 = never)
+  SLEEP_AFTER: 60000,           // Inactivity before Astro falls asleep (0 = never)
+  SLEEP_EYE_PLACEMENT: { x: 50, y: 0 }, // Where eyes rest while asleep (0-100 range)
+  WAKE_TRIGGER: "PULSE",        // Rive trigger played when activity wakes Astro (null = none)
+  GLANCE_DISTANCE: 250,         // How far from Astro idle glances land (in pixels)
+  DRIFT_DISTANCE: 6,            // How far Astro floats from its spot while drifting (in pixels)
+  DRIFT_DURATION: 2400,         // Length of one drift
+  ACTIONS: {
+    glance: { type: "glance", weights: { awake: 4, bored: 3, restless: 2 }, cooldown: 2500 },
+    drift: { type: "drift", weights: { awake: 1, bored: 2, restless: 3 }, cooldown: 8000 },
+    ideaSpark: { type: "trigger", input: "IDEA_SPARK", weights: { awake: 1, restless: 1 }, cooldown: 30000 },
+  },
+};
+
+// Layout Position Configuration
+// Each position is called with (x, y, viewport): x/y are the caller's
+// coordinates (if any), viewport is { left, top, width, height } of the
+// Astro's viewport element or the window
+export const POSITIONS = {
+  // Initial position off-screen right (always the window's edge)
+  OFF_SCREEN_RIGHT: () => ({
+    x: window.innerWidth + 100,  // Fully off-screen to the right
+    y: window.innerHeight +100    // Vertically centered
+  }),
+  
+  // Middle of the chat area (slightly above center)
+  TOP_MIDDLE: (x, y, viewport) => ({
+    x: viewport.left + viewport.width / 2 - 160,  // Center of chat area (accounting for sidebar)
+    y: viewport.top + viewport.height / 2 - 120   // Positioned above greeting text
+  }),
+  
+  // Position at top-left of chat input box
+  ABOVE_CHAT_BOX: (x, y) => ({
+    x: x +13 ,                    // TODO: Adjust left offset from input field
+    y: y - 45                     // TODO: Adjust vertical offset above input
+  }),
+  
+  // Position near AI message bubble
+  NEAR_AI_MESSAGE: (x, y) => ({
+    x:  x +13,                    // TODO: Adjust offset from message bubble
+    y: y+20                          // Vertically aligned with message
+  }),
+};
+
+// Element Anchor Configuration
+// Same layout spots as POSITIONS, but resolved from a live DOM element
+// (see anchoring.js for the available placements)
+export const ANCHORS = {
+  // Top-left of the chat input, follows the textarea as it grows
+  ABOVE_CHAT_BOX: { placement: "top-start", offset: { x: 13, y: -45 } },
+
+  // Left edge of a message bubble
+  NEAR_AI_MESSAGE: { placement: "left", offset: { x: 13, y: 20 } },
+};
+
+// Logical resting spots used by lifecycle "move" actions (see lifecycleMachine.js)
+// `position` names the POSITIONS entry that resolves raw coordinates, `anchor`
+// the ANCHORS entry used when given an element (both looked up in the config)
+export const LOGICAL_POSITIONS = {
+  "off-screen-right": { position: "OFF_SCREEN_RIGHT" },
+  "top-middle": { position: "TOP_MIDDLE" },
+  "above-chat-box": { position: "ABOVE_CHAT_BOX", anchor: "ABOVE_CHAT_BOX" },
+  "near-ai-message": { position: "NEAR_AI_MESSAGE", anchor: "NEAR_AI_MESSAGE" },
+};
+
+// Component Dimensions
+export const ASTRO_SIZE = {
+  WIDTH: 90,                     // Width of Astro character
+  HEIGHT: 90,                    // Height of Astro character
+  Z_INDEX: 20000,                // Z-index to ensure Astro appears on top
+};
+
+// Predefined color schemes for Astro: any color or theme (see themes.js)
+export const ASTRO_COLORS = {
+  green: { r: 125, g: 210, b: 128 },
+  pink: { r: 245, g: 138, b: 144 },
+  purple: { r: 168, g: 114, b: 246 },
+  black: { r: 0, g: 0, b: 0 },
+};
+
+// Events emitted through astro.on(...) and the prop that mirrors each one
+export const ASTRO_EVENTS = {
+  stateChange: "onStateChange",     // { from, to, event }
+  moveStart: "onMoveStart",         // { from, to, glide }
+  moveEnd: "onMoveEnd",             // { x, y, endState, glide }
+  riveLoaded: "onRiveLoaded",       // { src }
+  riveLoadError: "onRiveLoadError", // { src, error }
+  riveAssetChange: "onRiveAssetChange", // { src, stateMachine, variant } when a swap starts
+  rendererChange: "onRendererChange", // { renderer, previous } once the host picked a renderer
+  inputsBound: "onInputsBound",     // { inputs, report } once the state machine's inputs are checked
+  boredomChange: "onBoredomChange", // { bored }
+  blink: "onBlink",                 // {}
+  preferencesChange: "onPreferencesChange", // { hidden, muted, reducedMotion }
+  moodChange: "onMoodChange",       // { mood, intensity, previous, source }
+  aiError: "onAIError",             // { reason } when a reply fails, times out or is aborted
+  idleStageChange: "onIdleStageChange", // { stage, previous } (see idleBehavior.js)
+};
+
+// ========================================
+// ========== RUNTIME CONFIG =============
+// ========================================
+
+// Everything a product can override, grouped by the constant it replaces
+export const DEFAULT_CONFIG = {
+  riveFile: RIVE_FILE,                 // Default Rive file and state machine;
+  stateMachineName: STATE_MACHINE_NAME, // Changing either swaps the Rive file (see setRiveAsset)
+  variants: RIVE_VARIANTS,
+  renderer: RIVE_RENDERER,              // Read when Rive loads; changing it reloads the layers (Astro.js)
+  seed: RANDOM_SEED,                    // Changing it restarts the random sequence
+  timing: TIMING,
+  animation: ANIMATION_CONFIG,
+  eyeTracking: EYE_TRACKING,
+  accessibility: ACCESSIBILITY_CONFIG,
+  moods: MOODS,
+  idle: IDLE_BEHAVIOR,
+  positions: POSITIONS,
+  anchors: ANCHORS,
+  colors: ASTRO_COLORS,
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+// Deep-merge plain objects; everything else (numbers, functions, arrays)
+// in `overrides` replaces the base value
+export function mergeConfig(base = {}, overrides = {}) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+}
+
+// Keywords and functions accepted as a CSS easing when CSS.supports is unavailable
+const EASING_PATTERN = /^(linear|ease|ease-in|ease-out|ease-in-out|step-start|step-end|(cubic-bezier|steps|linear)\(.+\))$/;
+
+// Each check returns an error message, or null when the value is valid
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const checks = {
+  text: (v) => (typeof v === "string" && v.trim() ? null : "must be a non-empty string"),
+  number: (v) => (isNumber(v) ? null : "must be a number"),
+  duration: (v) => (isNumber(v) && v >= 0 ? null : "must be a duration of 0 ms or more"),
+  count: (v) => (Number.isInteger(v) && v >= 0 ? null : "must be a whole number of 0 or more"),
+  positive: (v) => (isNumber(v) && v > 0 ? null : "must be greater than 0"),
+  unit: (v) => (isNumber(v) && v >= 0 && v <= 1 ? null : "must be between 0 and 1"),
+  smoothing: (v) => (isNumber(v) && v > 0 && v <= 1 ? null : "must be greater than 0 and at most 1"),
+  eyePoint: (v) =>
+    [v?.x, v?.y].every((n) => isNumber(n) && n >= 0 && n <= 100) ? null : "must be { x, y } between 0 and 100",
+  easing: (v) => {
+    if (typeof v !== "string") return "must be a CSS easing string";
+    const valid = typeof CSS !== "undefined" && CSS.supports
+      ? CSS.supports("transition-timing-function", v)
+      : EASING_PATTERN.test(v.trim());
+    return valid ? null : `unknown easing "${v}"`;
+  },
+  color: (v) => {
+    if (typeof v !== "string") return "must be a CSS color string";
+    const valid = typeof CSS === "undefined" || !CSS.supports || CSS.supports("color", v);
+    return valid ? null : `unknown color "${v}"`;
+  },
+  optionalColor: (v) => (v === null ? null : checks.color(v)),
+  trailRenderer: (v) => (v === "canvas" || v === "dom" ? null : 'must be "canvas" or "dom"'),
+  path: (v) =>
+    typeof v === "function" || hasPathGenerator(v) ? null : `unknown travel path "${v}"`,
+  gazeCurve: (v) => (hasGazeCurve(v) ? null : `unknown look curve "${v}"`),
+  seed: (v) => (v === null || Number.isInteger(v) ? null : "must be a whole number or null"),
+  reducedMotion: (v) => (v === "auto" || typeof v === "boolean" ? null : 'must be "auto", true or false'),
+  boolean: (v) => (typeof v === "boolean" ? null : "must be true or false"),
+  messages: (v) =>
+    isPlainObject(v) && Object.values(v).every((m) => typeof m === "string")
+      ? null
+      : "must map lifecycle states to message strings",
+  mood: (v) => {
+    if (!isPlainObject(v)) return "must be a mood definition";
+    if (!v.trigger === !v.hold) return "needs either a trigger or a hold input";
+    if (v.trigger && checks.riveTrigger(v.trigger)) return checks.riveTrigger(v.trigger);
+    if (v.hold && RIVE_INPUT_TYPES[v.hold] !== "boolean") return `"${v.hold}" is not a boolean Rive input`;
+    if (!isNumber(v.priority)) return "priority must be a number";
+    if (!isNumber(v.decay) || v.decay <= 0) return "decay must be greater than 0";
+    if (v.repeatAbove !== undefined && checks.unit(v.repeatAbove)) return "repeatAbove must be between 0 and 1";
+    const keywords = v.keywords ?? [];
+    if (!Array.isArray(keywords) || !keywords.every((k) => typeof k === "string" && k)) {
+      return "keywords must be an array of strings";
+    }
+    return null;
+  },
+  riveTrigger: (v) => (RIVE_INPUT_TYPES[v] === "trigger" ? null : `"${v}" is not a Rive trigger`),
+  optionalRiveTrigger: (v) => (v === null ? null : checks.riveTrigger(v)),
+  idleAction: (v) => {
+    if (!isPlainObject(v)) return "must be an idle action definition";
+    if (!IDLE_ACTION_TYPES.includes(v.type)) return `type must be one of ${IDLE_ACTION_TYPES.join(", ")}`;
+    if (v.type === "trigger" && checks.riveTrigger(v.input)) return checks.riveTrigger(v.input);
+    if (!isPlainObject(v.weights)) return "weights must map idle stages to numbers";
+    const stages = Object.entries(v.weights);
+    if (!stages.every(([stage, weight]) => IDLE_STAGES.includes(stage) && isNumber(weight) && weight >= 0)) {
+      return `weights must map idle stages (${IDLE_STAGES.join(", ")}) to numbers of 0 or more`;
+    }
+    if (v.cooldown !== undefined && checks.duration(v.cooldown)) return "cooldown must be a duration of 0 ms or more";
+    return null;
+  },
+  idleActions: (v) => {
+    if (!isPlainObject(v)) return "must map action names to idle actions";
+    const invalid = Object.entries(v).find(([, action]) => checks.idleAction(action));
+    return invalid ? `${invalid[0]}: ${checks.idleAction(invalid[1])}` : null;
+  },
+  renderer: (v) =>
+    v === "auto" || RIVE_RENDERERS.includes(v) ? null : `must be "auto" or one of ${RIVE_RENDERERS.join(", ")}`,
+  variant: (v) => {
+    if (!isPlainObject(v) || checks.text(v.src)) return "must be { src, stateMachine? }";
+    return v.stateMachine === undefined || !checks.text(v.stateMachine) ? null : "stateMachine must be a non-empty string";
+  },
+  position: (v) => (typeof v === "function" ? null : "must be a function returning { x, y }"),
+  anchor: (v) => {
+    if (!ANCHOR_PLACEMENTS[v?.placement]) return `unknown placement "${v?.placement}"`;
+    if (v.offset && ![v.offset.x ?? 0, v.offset.y ?? 0].every(isNumber)) return "offset must be { x, y } numbers";
+    return null;
+  },
+};
+
+// Rules per config group; "*" applies to keys a product adds
+const CONFIG_RULES = {
+  riveFile: checks.text,
+  stateMachineName: checks.text,
+  variants: { "*": checks.variant },
+  renderer: checks.renderer,
+  seed: checks.seed,
+  timing: { "*": checks.duration },
+  animation: {
+    TRAIL_RENDERER: checks.trailRenderer,
+    TRAIL_COUNT: checks.count,
+    TRAIL_STAGGER: checks.duration,
+    TRAIL_FADE: checks.unit,
+    TRAIL_MIN_SCALE: checks.unit,
+    TRAIL_BLUR: checks.duration,
+    TRAIL_LENGTH: checks.duration,
+    TRAIL_GLOW: checks.duration,
+    TRAIL_GRADIENT_END: checks.optionalColor,
+    TRAIL_FADE_DURATION: checks.duration,
+    DOT_SIZE: checks.positive,
+    DOT_COLOR: checks.color,
+    LEAD_START_COLOR: checks.color,
+    SWAY_AMOUNT: checks.number,
+    CONTROL_POINT_1: checks.unit,
+    CONTROL_POINT_2: checks.unit,
+    EASING: checks.easing,
+    PATH: checks.path,
+    PATH_SEED: checks.seed,
+    SHAKE_DISTANCE: checks.duration,
+  },
+  eyeTracking: {
+    SMOOTHING_FACTOR: checks.smoothing,
+    DELAY_MS: checks.duration,
+    BOREDOM_EYE_PLACEMENT: checks.eyePoint,
+    LOOK_RANGE: checks.positive,
+    LOOK_CURVE: checks.gazeCurve,
+  },
+  accessibility: {
+    REDUCED_MOTION: checks.reducedMotion,
+    CROSSFADE_DURATION: checks.duration,
+    IDLE_DAMPING: checks.unit,
+    INTERACTIVE: checks.boolean,
+    ANNOUNCE: checks.boolean,
+    ANNOUNCEMENTS: checks.messages,
+  },
+  moods: { "*": checks.mood },
+  idle: {
+    ENABLED: checks.boolean,
+    ACTION_INTERVAL: checks.duration,
+    ACTION_VARIATION: checks.duration,
+    RESTLESS_AFTER: checks.duration,
+    SLEEP_AFTER: checks.duration,
+    SLEEP_EYE_PLACEMENT: checks.eyePoint,
+    WAKE_TRIGGER: checks.optionalRiveTrigger,
+    GLANCE_DISTANCE: checks.duration,
+    DRIFT_DISTANCE: checks.duration,
+    DRIFT_DURATION: checks.positive,
+    ACTIONS: checks.idleActions,
+  },
+  positions: { "*": checks.position },
+  anchors: { "*": checks.anchor },
+  colors: { "*": checkTheme },
+};
+
+// List every problem in a (merged) config as { path, message }
+export function validateConfig(config) {
+  const problems = [];
+  Object.entries(config || {}).forEach(([group, value]) => {
+    const rule = CONFIG_RULES[group];
+    if (!rule) {
+      problems.push({ path: group, message: "is not a config option" });
+    } else if (typeof rule === "function") {
+      const message = rule(value);
+      if (message) problems.push({ path: group, message });
+    } else if (!isPlainObject(value)) {
+      problems.push({ path: group, message: "must be an object" });
+    } else {
+      Object.entries(value).forEach(([key, entry]) => {
+        const check = rule[key] || rule["*"];
+        const message = check ? check(entry) : "is not a config option";
+        if (message) problems.push({ path: `${group}.${key}`, message });
+      });
+    }
+  });
+  return problems;
+}
+
+// Warn once per problem so live updates don't flood the console
+const reportedProblems = new Set();
+
+// Merge overrides onto the defaults and drop invalid values: each one falls
+// back to its default (or is removed when it has none) with a warning
+export function resolveConfig(overrides = {}, defaults = DEFAULT_CONFIG) {
+  const config = mergeConfig(defaults, overrides);
+
+  validateConfig(config).forEach(({ path, message }) => {
+    const [group, key] = path.split(".");
+    const hasDefault = key === undefined ? group in defaults : !!defaults[group] && key in defaults[group];
+
+    if (key === undefined) {
+      if (hasDefault) config[group] = defaults[group];
+      else delete config[group];
+    } else {
+      config[group] = { ...config[group] };
+      if (hasDefault) config[group][key] = defaults[group][key];
+      else delete config[group][key];
+    }
+
+    const warning = `[Astro] Invalid config ${path} (${message}), ${hasDefault ? "using the default" : "ignoring it"}`;
+    if (!reportedProblems.has(warning)) {
+      reportedProblems.add(warning);
+      console.warn(warning);
+    }
+  });
+
+  return config;
+}
@@ -0,0 +1,109 @@
+// astroCoordinator.js
+// Coordinates several Astros on one page (e.g. one per chat panel in a
+// split view): keeps their resting spots from overlapping and lets one
+// Astro hand off to another with a travel animation.
+//
+//   const coordinator = createAstroCoordinator();
+//   <Astro id="left" coordinator={coordinator} />
+//   <Astro id="right" coordinator={coordinator} />
+//   coordinator.handOff("left", "right");
+
+import { ASTRO_SIZE } from "./astroConfig";
+import { handled } from "./errors";
+
+// Minimum distance (in pixels) between two resting Astros' centers
+const DEFAULT_SPACING = ASTRO_SIZE.WIDTH + 10;
+
+// How many times a target is nudged before giving up on a free spot
+const MAX_NUDGES = 8;
+
+export function createAstroCoordinator({ spacing = DEFAULT_SPACING } = {}) {
+  const astros = new Map(); // id -> AstroController
+  const claims = new Map(); // AstroController -> { x, y } it rests at or travels to
+
+  const get = (id) => astros.get(id) || null;
+
+  // Add an Astro; returns an unregister function
+  const register = (id, astro) => {
+    if (astros.has(id) && astros.get(id) !== astro) {
+      console.warn(`[Astro] Coordinator already has an Astro with id "${id}", replacing it`);
+      unregister(id);
+    }
+    astros.set(id, astro);
+    claims.set(astro, { ...astro.center });
+    astro.coordinator = coordinator;
+    return () => unregister(id, astro);
+  };
+
+  const unregister = (id, astro = astros.get(id)) => {
+    if (!astro || astros.get(id) !== astro) return;
+    astros.delete(id);
+    claims.delete(astro);
+    if (astro.coordinator === coordinator) astro.coordinator = null;
+  };
+
+  // Claim a resting spot for `astro`, stepping sideways past any other
+  // Astro that already rests (or is heading) within `spacing` of it
+  const resolveTarget = (astro, point) => {
+    let { x, y } = point;
+    const others = [...claims].filter(([other]) => other !== astro).map(([, claim]) => claim);
+    const blockerAt = (px, py) => others.find((claim) => Math.hypot(claim.x - px, claim.y - py) < spacing);
+
+    for (let i = 0; i < MAX_NUDGES; i++) {
+      const blocker = blockerAt(x, y);
+      if (!blocker) break;
+      const dy = y - blocker.y;
+      const direction = x >= blocker.x ? 1 : -1;
+      x = blocker.x + direction * Math.sqrt(spacing ** 2 - dy ** 2);
+    }
+
+    claims.set(astro, { x, y });
+    return { x, y };
+  };
+
+  // Fly `fromId` to where `toId` rests: `to` hides while the trail travels,
+  // then reappears with a pulse as `from` vanishes and slips back home.
+  // Resolves once `to` has pulsed.
+  const handOff = (fromId, toId) => {
+    const from = get(fromId);
+    const to = get(toId);
+    if (!from || !to) {
+      const missing = from ? toId : fromId;
+      return handled(Promise.reject(new Error(`[Astro] Coordinator has no Astro with id "${missing}"`)));
+    }
+
+    console.log(`[Astro] Hand-off: ${fromId} → ${toId}`);
+    const target = { ...to.center };
+    from.setVisible(true);
+    to.setVisible(false);
+
+    return handled(
+      from
+        .queueAnimation(
+          () => from.moveToPosition(target.x, target.y, { hideOnArrival: true, skipShrink: true }),
+          { cancelPrevious: true }
+        )
+        .then(() => {
+          to.setVisible(true);
+          // Back to its own resting spot while hidden, ready to be shown again
+          from.relayout();
+          return to.triggerPulse();
+        }, (err) => {
+          // Interrupted mid-flight: don't leave the receiving Astro hidden
+          to.setVisible(true);
+          throw err;
+        })
+    );
+  };
+
+  const coordinator = {
+    register,
+    unregister,
+    get,
+    ids: () => [...astros.keys()],
+    resolveTarget,
+    handOff,
+  };
+
+  return coordinator;
+}
@@ -0,0 +1,111 @@
+// caretTracking.js
+// Screen position of the text caret in textareas, text inputs and
+// contenteditable elements, so Astro can watch the user type anywhere:
+//
+//   const stop = astro.trackInput(document.querySelector("#search"));
+
+import { astroClock } from "./clock";
+
+// Computed styles that decide where text lands inside a field
+const MIRRORED_STYLES = [
+  "boxSizing",
+  "width",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "borderTopWidth",
+  "borderRightWidth",
+  "borderBottomWidth",
+  "borderLeftWidth",
+  "borderStyle",
+  "fontFamily",
+  "fontSize",
+  "fontStyle",
+  "fontWeight",
+  "lineHeight",
+  "letterSpacing",
+  "textTransform",
+  "textIndent",
+  "tabSize",
+];
+
+// Caret of a contenteditable: the collapsed selection's rectangle
+function getEditableCaretPoint(element) {
+  const selection = window.getSelection?.();
+  if (!selection?.rangeCount || !element.contains(selection.focusNode)) return null;
+  const range = selection.getRangeAt(0).cloneRange();
+  range.collapse(false);
+  const rect = range.getClientRects()[0] || element.getBoundingClientRect();
+  return { x: rect.left, y: rect.top };
+}
+
+// Screen position of the caret (or of character `index`) in `field`.
+// Textareas and inputs are measured with a hidden mirror element that copies
+// their text styles; returns null when there is no caret to find.
+export function getCaretPoint(field, index) {
+  if (field.isContentEditable) return getEditableCaretPoint(field);
+  if (typeof field.value !== "string") return null;
+
+  const caretIndex = index ?? field.selectionEnd ?? field.value.length;
+  const style = window.getComputedStyle(field);
+  const isInput = field.nodeName === "INPUT";
+
+  const mirror = document.createElement("div");
+  MIRRORED_STYLES.forEach((property) => (mirror.style[property] = style[property]));
+  Object.assign(mirror.style, {
+    position: "absolute",
+    visibility: "hidden",
+    top: "0",
+    left: "-9999px",
+    // Inputs keep everything on one line; textareas wrap
+    whiteSpace: isInput ? "pre" : "pre-wrap",
+    wordWrap: isInput ? "normal" : "break-word",
+  });
+
+  const before = document.createElement("span");
+  before.textContent = field.value.substring(0, caretIndex);
+  const caret = document.createElement("span");
+  caret.textContent = "|";
+  mirror.append(before, caret);
+  document.body.appendChild(mirror);
+
+  const mirrorRect = mirror.getBoundingClientRect();
+  const caretRect = caret.getBoundingClientRect();
+  const fieldRect = field.getBoundingClientRect();
+  document.body.removeChild(mirror);
+
+  // Scrolled fields show a different part of the text
+  return {
+    x: fieldRect.left + (caretRect.left - mirrorRect.left) - field.scrollLeft,
+    y: fieldRect.top + (caretRect.top - mirrorRect.top) - field.scrollTop,
+  };
+}
+
+// Events after which the caret may have moved (typing, arrows, clicks)
+const CARET_EVENTS = ["input", "keyup", "pointerup"];
+
+// Call callback(point) whenever the caret moves in `field`; returns a
+// function that stops tracking. The caret is measured on the next frame, so
+// a host that resizes the field on input (auto-growing textareas) has
+// already laid it out.
+export function trackCaret(field, callback, clock = astroClock) {
+  let frameId = null;
+
+  const measure = () => {
+    frameId = null;
+    if (document.activeElement !== field) return;
+    const point = getCaretPoint(field);
+    if (point) callback(point);
+  };
+
+  const update = () => {
+    if (frameId === null) frameId = clock.requestFrame(measure);
+  };
+
+  CARET_EVENTS.forEach((type) => field.addEventListener(type, update));
+  return () => {
+    if (frameId !== null) clock.cancelFrame(frameId);
+    CARET_EVENTS.forEach((type) => field.removeEventListener(type, update));
+  };
+}
@@ -0,0 +1,248 @@
+// chatTransport.js
+// Pluggable chat backends. Every transport streams the assistant's reply as
+// text tokens through the same interface:
+//
+//   const transport = createChatTransport({ type: "sse", url: "http://localhost:8787/chat/sse" });
+//   for await (const token of transport.stream({ messages, signal })) { ... }
+//
+// `messages` is the conversation so far ([{ role: "user" | "assistant", text }]);
+// aborting `signal` ends the stream. Failures throw ChatTransportError (see
+// errors.js). `npm run mock-server` serves all three network transports.
+
+import { ChatTransportError, TRANSPORT_ERRORS } from "./errors";
+import { generateReply, tokenize } from "./mockReplies";
+
+const abortError = () => new ChatTransportError(TRANSPORT_ERRORS.ABORTED, "request aborted");
+
+// Resolve after `ms`, or reject as soon as `signal` aborts
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+// ========================================
+// ========== HTTP STREAMING =============
+// ========================================
+
+// POST the conversation and return the (still streaming) response
+async function post(url, { messages, signal, headers, accept }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: accept, ...headers },
+      body: JSON.stringify({ messages }),
+      signal,
+    });
+  } catch (err) {
+    throw signal?.aborted ? abortError() : new ChatTransportError(TRANSPORT_ERRORS.NETWORK, err.message);
+  }
+  if (!response.ok) {
+    throw new ChatTransportError(TRANSPORT_ERRORS.HTTP, `status ${response.status}`, { status: response.status });
+  }
+  if (!response.body) throw new ChatTransportError(TRANSPORT_ERRORS.SERVER, "response has no body to stream");
+  return response;
+}
+
+// Decoded text chunks of a response body, as they arrive
+async function* readText(response, signal) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    while (true) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (err) {
+        throw signal?.aborted ? abortError() : new ChatTransportError(TRANSPORT_ERRORS.NETWORK, err.message);
+      }
+      if (chunk.done) break;
+      const text = decoder.decode(chunk.value, { stream: true });
+      if (text) yield text;
+    }
+    const rest = decoder.decode();
+    if (rest) yield rest;
+  } finally {
+    // Also runs when the consumer stops early; drop the connection
+    reader.cancel().catch(() => {});
+  }
+}
+
+// Plain chunked text: every chunk of the body is a token
+export function createFetchTransport({ url, headers } = {}) {
+  return {
+    type: "fetch",
+    async *stream({ messages, signal }) {
+      const response = await post(url, { messages, signal, headers, accept: "text/plain" });
+      yield* readText(response, signal);
+    },
+  };
+}
+
+// Token text from one server-sent event's data: JSON { token } or raw text
+const readEventData = (data) => {
+  try {
+    const parsed = JSON.parse(data);
+    return typeof parsed === "string" ? parsed : parsed?.token ?? "";
+  } catch {
+    return data;
+  }
+};
+
+// Server-sent events over a POST (EventSource can only GET). Each `data:`
+// is a token, `data: [DONE]` ends the reply and `event: error` fails it.
+export function createSseTransport({ url, headers } = {}) {
+  return {
+    type: "sse",
+    async *stream({ messages, signal }) {
+      const response = await post(url, { messages, signal, headers, accept: "text/event-stream" });
+      let buffer = "";
+      for await (const text of readText(response, signal)) {
+        buffer += text;
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop(); // Incomplete event, wait for the rest
+
+        for (const block of events) {
+          let event = "message";
+          const data = [];
+          block.split(/\r?\n/).forEach((line) => {
+            if (line.startsWith("event:")) event = line.slice(6).trim();
+            else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+          });
+          const payload = data.join("\n");
+
+          if (event === "error") throw new ChatTransportError(TRANSPORT_ERRORS.SERVER, readEventData(payload) || "stream error");
+          if (payload === "[DONE]") return;
+          const token = data.length ? readEventData(payload) : "";
+          if (token) yield token;
+        }
+      }
+    },
+  };
+}
+
+// ========================================
+// ========== WEBSOCKET ==================
+// ========================================
+
+// One socket per reply: sends { messages } and expects JSON frames
+// { type: "token", token }, { type: "done" } or { type: "error", message }
+export function createWebSocketTransport({ url, protocols } = {}) {
+  return {
+    type: "websocket",
+    async *stream({ messages, signal }) {
+      if (signal?.aborted) throw abortError();
+
+      const socket = new WebSocket(url, protocols);
+      const tokens = [];
+      let done = false;
+      let failure = null;
+      let wake = null;
+      const notify = () => wake?.();
+      const fail = (error) => {
+        failure = failure || error;
+        notify();
+      };
+
+      socket.onopen = () => socket.send(JSON.stringify({ messages }));
+      socket.onmessage = (e) => {
+        let frame;
+        try {
+          frame = JSON.parse(e.data);
+        } catch {
+          fail(new ChatTransportError(TRANSPORT_ERRORS.SERVER, "unreadable frame"));
+          return;
+        }
+        if (frame.type === "token") tokens.push(String(frame.token ?? ""));
+        else if (frame.type === "done") done = true;
+        else if (frame.type === "error") fail(new ChatTransportError(TRANSPORT_ERRORS.SERVER, frame.message || "stream error"));
+        notify();
+      };
+      socket.onerror = () => fail(new ChatTransportError(TRANSPORT_ERRORS.NETWORK, "socket error"));
+      socket.onclose = (e) => {
+        if (!done) fail(new ChatTransportError(TRANSPORT_ERRORS.NETWORK, `socket closed (${e.code})`));
+      };
+      const onAbort = () => fail(abortError());
+      signal?.addEventListener("abort", onAbort, { once: true });
+      // Resolves at the next frame, error or close (see notify)
+      const nextFrame = () => new Promise((resolve) => (wake = resolve));
+
+      try {
+        while (true) {
+          if (failure) throw failure;
+          if (tokens.length) {
+            yield tokens.shift();
+          } else if (done) {
+            return;
+          } else {
+            await nextFrame();
+            wake = null;
+          }
+        }
+      } finally {
+        signal?.removeEventListener("abort", onAbort);
+        if (socket.readyState <= 1) socket.close(); // CONNECTING or OPEN
+      }
+    },
+  };
+}
+
+// ========================================
+// ========== MOCK =======================
+// ========================================
+
+// In-browser stand-in for a backend: streams generateReply word by word.
+// options.reply(messages):  reply text, defaults to generateReply on the last user message
+// options.fail(messages):   return true to fail the request after the first-token delay
+// options.firstTokenDelay / tokenDelay: thinking time and time between tokens (ms)
+export function createMockTransport(options = {}) {
+  const {
+    reply = (messages) => generateReply([...messages].reverse().find((m) => m.role === "user")?.text || ""),
+    fail = () => false,
+    firstTokenDelay = 2000,
+    tokenDelay = 60,
+  } = options;
+
+  return {
+    type: "mock",
+    async *stream({ messages, signal }) {
+      await wait(firstTokenDelay, signal);
+      if (fail(messages)) throw new ChatTransportError(TRANSPORT_ERRORS.SERVER, "mock failure");
+
+      const tokens = tokenize(reply(messages));
+      for (let i = 0; i < tokens.length; i++) {
+        if (i > 0) await wait(tokenDelay, signal);
+        yield tokens[i];
+      }
+    },
+  };
+}
+
+const TRANSPORTS = {
+  mock: createMockTransport,
+  fetch: createFetchTransport,
+  sse: createSseTransport,
+  websocket: createWebSocketTransport,
+};
+
+// Create a transport by type ("mock", "fetch", "sse" or "websocket")
+export function createChatTransport({ type = "mock", ...options } = {}) {
+  const create = TRANSPORTS[type];
+  if (!create) {
+    throw new TypeError(`[Astro] Unknown chat transport "${type}". Available: ${Object.keys(TRANSPORTS).join(", ")}`);
+  }
+  if (type !== "mock" && !options.url) throw new TypeError(`[Astro] The ${type} chat transport needs a url`);
+  return create(options);
+}
@@ -0,0 +1,334 @@
+// choreography.js
+// Describe Astro sequences (onboarding tours, demos) as data and play them
+// through the Astro ref. A sequence is JSON:
+//
+//   { "steps": [
+//       { "type": "lifecycle", "method": "onChatOpen" },
+//       { "type": "move", "anchor": ".composer textarea", "placement": "top-start" },
+//       { "type": "trigger", "name": "PULSE" },
+//       { "type": "parallel", "steps": [ ... ] }
+//   ] }
+//
+// or built with choreography().move(...).trigger(...).build().
+
+import { astroClock } from "./clock";
+import { AnimationCancelledError, CANCEL_REASONS, handled } from "./errors";
+
+// ========================================
+// ========== STEP TYPES =================
+// ========================================
+
+// Lifecycle methods a "lifecycle" step may call on the Astro ref
+const LIFECYCLE_METHODS = [
+  "onChatOpen",
+  "onFirstInputFocus",
+  "onUserSendsMessage",
+  "onAIMessageReady",
+  "onAIMessageShown",
+  "onAIMessageError",
+];
+
+// How often paused or waiting steps re-check their state (in milliseconds)
+const POLL_INTERVAL = 50;
+
+// Resolve a step's anchor selector (or element) to a DOM element
+function resolveElement(anchor) {
+  if (typeof anchor !== "string") return anchor;
+  const element = document.querySelector(anchor);
+  if (!element) {
+    throw new Error(`[Astro] Choreography anchor not found: ${anchor}`);
+  }
+  return element;
+}
+
+// Reject as soon as the step's signal aborts
+function abortable(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) return onAbort();
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// Each step executor receives (step, astro, runtime) and returns a promise
+const STEP_EXECUTORS = {
+  move: (step, astro) => {
+    if (step.anchor) {
+      const { anchor, type, ...options } = step;
+      return astro.anchorTo(resolveElement(anchor), options);
+    }
+    const { type, x, y, ...options } = step;
+    return astro.moveTo(x, y, options);
+  },
+
+  lifecycle: (step, astro) => {
+    const target = step.anchor ? [resolveElement(step.anchor)] : [step.x, step.y];
+    // onAIMessageError takes the failure reason before the target
+    const args = step.method === "onAIMessageError" ? [step.reason ?? "error", ...target] : target;
+    return astro[step.method](...args);
+  },
+
+  trigger: (step, astro) => {
+    const method = `trigger${step.name
+      .toLowerCase()
+      .replace(/(^|_)([a-z])/g, (_, __, c) => c.toUpperCase())}`;
+    if (typeof astro[method] !== "function") {
+      return Promise.reject(new Error(`[Astro] Unknown trigger in choreography: ${step.name}`));
+    }
+    return astro[method]();
+  },
+
+  color: (step, astro) => astro.changeAstroColor(step.color),
+
+  // Optional step.priority / step.duration as in astro.lookAt
+  lookAt: (step, astro) => {
+    const { type, anchor, x, y, ...options } = step;
+    if (anchor) return astro.lookAtElement(resolveElement(anchor), options);
+    return astro.lookAt(x, y, options);
+  },
+
+  wait: (step, astro, runtime) => runtime.sleep(step.ms),
+
+  // Stopping or seeking the sequence drops the listener; settling either
+  // way ends the timeout's wait
+  waitFor: (step, astro, runtime) =>
+    new Promise((resolve, reject) => {
+      const { signal } = runtime;
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const timeout = new AbortController();
+      const done = () => {
+        unsubscribe();
+        signal?.removeEventListener("abort", onAbort);
+        timeout.abort();
+      };
+      const onAbort = () => {
+        done();
+        reject(signal.reason);
+      };
+      const unsubscribe = astro.once(step.event, (detail) => {
+        done();
+        resolve(detail);
+      });
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (step.timeout) {
+        runtime.sleep(step.timeout, timeout.signal).then(
+          () => {
+            done();
+            reject(new Error(`[Astro] Timed out waiting for "${step.event}"`));
+          },
+          () => {} // Settled before the timeout
+        );
+      }
+    }),
+
+  parallel: (step, astro, runtime) =>
+    Promise.all(step.steps.map((child) => runtime.execute(child))),
+};
+
+// Throw on malformed steps before anything starts playing
+export function validateChoreography(sequence) {
+  const steps = Array.isArray(sequence) ? sequence : sequence?.steps;
+  if (!Array.isArray(steps)) {
+    throw new Error("[Astro] Choreography needs a steps array");
+  }
+
+  const check = (step, path) => {
+    if (!STEP_EXECUTORS[step?.type]) {
+      throw new Error(
+        `[Astro] Unknown choreography step "${step?.type}" at ${path}. Available: ${Object.keys(STEP_EXECUTORS).join(", ")}`
+      );
+    }
+    if (step.type === "lifecycle" && !LIFECYCLE_METHODS.includes(step.method)) {
+      throw new Error(`[Astro] Unknown lifecycle method "${step.method}" at ${path}`);
+    }
+    if (step.type === "parallel") {
+      if (!Array.isArray(step.steps)) {
+        throw new Error(`[Astro] Parallel step at ${path} needs a steps array`);
+      }
+      step.steps.forEach((child, i) => check(child, `${path}.steps[${i}]`));
+    }
+  };
+
+  steps.forEach((step, i) => check(step, `steps[${i}]`));
+  return steps;
+}
+
+// ========================================
+// ========== BUILDER ====================
+// ========================================
+
+// Fluent builder producing the same JSON a designer would write by hand
+export function choreography() {
+  const steps = [];
+
+  const builder = {
+    move: (target, options = {}) => {
+      const step =
+        typeof target === "string" || (typeof Element !== "undefined" && target instanceof Element)
+          ? { type: "move", anchor: target, ...options }
+          : { type: "move", x: target.x, y: target.y, ...options };
+      steps.push(step);
+      return builder;
+    },
+    lifecycle: (method, target) => {
+      const step = { type: "lifecycle", method };
+      if (typeof target === "string") step.anchor = target;
+      else if (target) Object.assign(step, { x: target.x, y: target.y });
+      steps.push(step);
+      return builder;
+    },
+    trigger: (name) => {
+      steps.push({ type: "trigger", name });
+      return builder;
+    },
+    color: (color) => {
+      steps.push({ type: "color", color });
+      return builder;
+    },
+    lookAt: (target) => {
+      steps.push(
+        typeof target === "string"
+          ? { type: "lookAt", anchor: target }
+          : { type: "lookAt", x: target.x, y: target.y }
+      );
+      return builder;
+    },
+    wait: (ms) => {
+      steps.push({ type: "wait", ms });
+      return builder;
+    },
+    waitFor: (event, timeout) => {
+      steps.push(timeout ? { type: "waitFor", event, timeout } : { type: "waitFor", event });
+      return builder;
+    },
+    // parallel(b => b.trigger("PULSE").lookAt({ x, y }))
+    parallel: (build) => {
+      steps.push({ type: "parallel", steps: build(choreography()).build().steps });
+      return builder;
+    },
+    build: () => ({ steps: steps.slice() }),
+  };
+
+  return builder;
+}
+
+// ========================================
+// ========== PLAYER =====================
+// ========================================
+
+// Play a sequence through the Astro ref. Returns a controller with
+// pause/resume/seek/cancel and a `finished` promise that resolves when the
+// last step completes (or rejects with AnimationCancelledError on cancel).
+// Pausing holds the sequence between steps and inside waits; a movement
+// already in flight finishes first. Waits run on the Astro's clock.
+export function runChoreography(astro, sequence, { onStep } = {}) {
+  const steps = validateChoreography(sequence);
+  const clock = astro.clock ?? astroClock;
+
+  let index = 0;
+  let status = "running";
+  let stepAbort = null;
+
+  const waitWhilePaused = async () => {
+    while (status === "paused") {
+      await clock.sleep(POLL_INTERVAL);
+    }
+  };
+
+  // Sleep that stops counting while paused and ends early when aborted
+  const sleep = async (ms, signal = stepAbort?.signal) => {
+    let remaining = ms;
+    while (remaining > 0) {
+      if (signal?.aborted) throw signal.reason;
+      const chunk = Math.min(POLL_INTERVAL, remaining);
+      await clock.sleep(chunk);
+      if (status !== "paused") remaining -= chunk;
+    }
+  };
+
+  // Animations the steps queue belong to this runtime, so interrupting
+  // leaves everything else in Astro's queue alone
+  const runtime = {
+    sleep,
+    execute: (step) => astro.withAnimationOwner(runtime, () => STEP_EXECUTORS[step.type](step, astro, runtime)),
+    // Aborted when the step in flight is interrupted
+    get signal() {
+      return stepAbort?.signal;
+    },
+  };
+
+  // Stop the step in flight, including the movements it queued
+  const interrupt = (reason) => {
+    if (stepAbort) {
+      stepAbort.abort(reason);
+      astro.cancelAnimationsOf(runtime);
+    }
+  };
+
+  const finished = handled(
+    (async () => {
+      while (index < steps.length) {
+        await waitWhilePaused();
+        if (status === "cancelled") break;
+
+        const current = index;
+        stepAbort = new AbortController();
+        onStep?.(current, steps[current]);
+
+        try {
+          await abortable(Promise.resolve(runtime.execute(steps[current])), stepAbort.signal);
+        } catch (err) {
+          if (status === "cancelled") break;
+          // seek() aborted this step and already moved the index
+          if (err?.reason !== "seek") throw err;
+        } finally {
+          stepAbort = null;
+        }
+
+        if (index === current) index += 1;
+      }
+
+      if (status === "cancelled") {
+        throw new AnimationCancelledError(CANCEL_REASONS.CANCELLED);
+      }
+      status = "finished";
+    })()
+  );
+
+  return {
+    finished,
+
+    get status() {
+      return status;
+    },
+
+    get index() {
+      return index;
+    },
+
+    pause() {
+      if (status === "running") status = "paused";
+    },
+
+    resume() {
+      if (status === "paused") status = "running";
+    },
+
+    // Jump to a step; the step in flight is interrupted
+    seek(stepIndex) {
+      if (status === "finished" || status === "cancelled") return;
+      index = Math.max(0, Math.min(steps.length, stepIndex));
+      interrupt({ reason: "seek" });
+    },
+
+    cancel() {
+      if (status === "finished" || status === "cancelled") return;
+      status = "cancelled";
+      interrupt(new AnimationCancelledError(CANCEL_REASONS.CANCELLED));
+    },
+  };
+}
@@ -0,0 +1,223 @@
+// clock.js
+// Astro's time source. Every timer, frame and Web Animation that drives the
+// character goes through a clock, so time can be scaled, paused and stepped:
+//
+//   astroClock.setTimeScale(0.25); // slow motion for design review
+//   astroClock.pause();
+//   astroClock.step(16);           // one frame at a time
+//   astroClock.resume();
+//
+//   new AstroController({ clock: createClock({ timeScale: 10 }) }); // fast tests
+//
+// Clock time is virtual: it advances `timeScale` ms per real millisecond and
+// stands still while paused. Rive's own state machine animations and CSS
+// transitions (the placeholder's effects, the asset swap fade) keep playing
+// in real time.
+
+// Length of one step() by default (a 60 fps frame)
+export const FRAME_DURATION = 16;
+
+// options.timeScale  clock ms per real ms (default 1)
+// options.paused     start paused (default false)
+// The browser timers are looked up on every call, so fake timers installed
+// later (e.g. in tests) drive the clock too.
+export function createClock(options = {}) {
+  const { timeScale = 1, paused: startPaused = false } = options;
+  if (!(timeScale > 0)) throw new RangeError(`[Astro] Time scale must be greater than 0, got ${timeScale}`);
+
+  const realNow = () => performance.now();
+  let scale = timeScale;
+  let paused = startPaused;
+  let anchorTime = 0;      // Clock time at the last rebase
+  let anchorReal = realNow(); // Real time at the last rebase
+
+  const timers = new Map(); // id -> { due, callback }, in creation order
+  const frames = new Map(); // id -> callback, run on the next frame
+  const animations = new Set(); // Web Animations following the clock (see track)
+  let nextId = 1;
+  let wakeTimer = null;
+  let realFrame = null;
+
+  const now = () => (paused ? anchorTime : anchorTime + (realNow() - anchorReal) * scale);
+
+  // Start counting real time from here
+  const rebase = () => {
+    anchorTime = now();
+    anchorReal = realNow();
+  };
+
+  // The timer due first (the earliest created among equals)
+  const nextTimer = () => {
+    let next = null;
+    timers.forEach((timer, id) => {
+      if (!next || timer.due < next.due) next = { id, ...timer };
+    });
+    return next;
+  };
+
+  const runTimer = ({ id, callback }) => {
+    timers.delete(id);
+    try {
+      callback();
+    } catch (err) {
+      console.error("[Astro] Clock timer failed:", err);
+    }
+  };
+
+  // One real timeout for whichever clock timer is due first
+  const scheduleWake = () => {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+    const next = nextTimer();
+    if (!next || paused) return;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      const t = now();
+      let timer = nextTimer();
+      while (timer && timer.due <= t) {
+        runTimer(timer);
+        timer = nextTimer();
+      }
+      scheduleWake();
+    }, Math.max(0, (next.due - now()) / scale));
+  };
+
+  const runFrames = () => {
+    const callbacks = [...frames.values()];
+    frames.clear();
+    const t = now();
+    callbacks.forEach((callback) => {
+      try {
+        callback(t);
+      } catch (err) {
+        console.error("[Astro] Clock frame failed:", err);
+      }
+    });
+  };
+
+  const scheduleFrame = () => {
+    if (realFrame !== null || paused || !frames.size) return;
+    realFrame = requestAnimationFrame(() => {
+      realFrame = null;
+      runFrames();
+      scheduleFrame();
+    });
+  };
+
+  const untrack = (animation) => animations.delete(animation);
+
+  const clock = {
+    now,
+
+    setTimeout(callback, ms = 0) {
+      const id = nextId++;
+      timers.set(id, { due: now() + Math.max(0, ms || 0), callback });
+      scheduleWake();
+      return id;
+    },
+
+    clearTimeout(id) {
+      if (timers.delete(id)) scheduleWake();
+    },
+
+    sleep(ms) {
+      return new Promise((resolve) => clock.setTimeout(resolve, ms));
+    },
+
+    // Like requestAnimationFrame; callbacks get the clock time and wait
+    // while paused (step() runs them once)
+    requestFrame(callback) {
+      const id = nextId++;
+      frames.set(id, callback);
+      scheduleFrame();
+      return id;
+    },
+
+    cancelFrame(id) {
+      frames.delete(id);
+    },
+
+    // Make a Web Animation follow the clock's time scale and pause; returns it
+    track(animation) {
+      if (!animation) return animation;
+      animations.add(animation);
+      animation.playbackRate = scale;
+      if (paused) animation.pause();
+      animation.finished.then(() => untrack(animation), () => untrack(animation));
+      return animation;
+    },
+
+    getTimeScale: () => scale,
+
+    setTimeScale(next) {
+      if (!(next > 0)) throw new RangeError(`[Astro] Time scale must be greater than 0, got ${next}`);
+      rebase();
+      scale = next;
+      animations.forEach((animation) => (animation.playbackRate = next));
+      scheduleWake();
+    },
+
+    isPaused: () => paused,
+
+    pause() {
+      if (paused) return;
+      rebase();
+      paused = true;
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+      cancelAnimationFrame(realFrame);
+      realFrame = null;
+      animations.forEach((animation) => animation.pause());
+    },
+
+    resume() {
+      if (!paused) return;
+      anchorReal = realNow();
+      paused = false;
+      animations.forEach((animation) => animation.play());
+      scheduleWake();
+      scheduleFrame();
+    },
+
+    // Advance a paused clock by `ms`: due timers run in order, tracked
+    // animations move forward and waiting frame callbacks run once. Pauses
+    // a running clock first. Work a timer starts after an await (the next
+    // sleep of a movement) is picked up by the following step.
+    step(ms = FRAME_DURATION) {
+      clock.pause();
+      const target = anchorTime + ms;
+      let timer = nextTimer();
+      while (timer && timer.due <= target) {
+        anchorTime = Math.max(anchorTime, timer.due);
+        runTimer(timer);
+        timer = nextTimer();
+      }
+      anchorTime = target;
+      animations.forEach((animation) => {
+        const end = animation.effect?.getComputedTiming().endTime;
+        const next = (animation.currentTime ?? 0) + ms;
+        if (end !== undefined && next >= end) animation.finish();
+        else animation.currentTime = next;
+      });
+      runFrames();
+    },
+
+    // Drop every timer, frame and tracked animation (the clock keeps time)
+    reset() {
+      timers.clear();
+      frames.clear();
+      animations.clear();
+      clearTimeout(wakeTimer);
+      wakeTimer = null;
+      cancelAnimationFrame(realFrame);
+      realFrame = null;
+    },
+  };
+
+  if (paused) anchorReal = realNow();
+  return clock;
+}
+
+// The clock every Astro uses unless given its own; its time scale and
+// pause apply page-wide
+export const astroClock = createClock();
@@ -0,0 +1,106 @@
+import { createClock } from "./clock";
+
+let clock;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  clock?.reset();
+  clock = null;
+  jest.useRealTimers();
+});
+
+describe("createClock", () => {
+  it("runs timers in clock time, scaled against real time", () => {
+    clock = createClock({ timeScale: 0.25 });
+    const fired = jest.fn();
+    clock.setTimeout(fired, 100);
+
+    jest.advanceTimersByTime(399);
+    expect(fired).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(fired).toHaveBeenCalledTimes(1);
+    expect(clock.now()).toBeCloseTo(100);
+  });
+
+  it("reschedules pending timers when the time scale changes", () => {
+    clock = createClock();
+    const fired = jest.fn();
+    clock.setTimeout(fired, 1000);
+
+    jest.advanceTimersByTime(500);
+    clock.setTimeScale(10);
+    jest.advanceTimersByTime(50);
+    expect(fired).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects time scales of 0 or less", () => {
+    clock = createClock();
+    expect(() => clock.setTimeScale(0)).toThrow(RangeError);
+    expect(() => createClock({ timeScale: -1 })).toThrow(RangeError);
+  });
+
+  it("stands still while paused and steps timers and frames in order", () => {
+    clock = createClock();
+    const log = [];
+    clock.setTimeout(() => log.push("b"), 30);
+    clock.setTimeout(() => log.push("a"), 10);
+    clock.requestFrame((now) => log.push(`frame ${now}`));
+    clock.pause();
+
+    jest.advanceTimersByTime(1000);
+    expect(log).toEqual([]);
+    expect(clock.now()).toBe(0);
+
+    clock.step(16);
+    expect(log).toEqual(["a", "frame 16"]);
+    clock.step(16);
+    expect(log).toEqual(["a", "frame 16", "b"]);
+    expect(clock.now()).toBe(32);
+  });
+
+  it("holds timers across a pause and carries on after resume", () => {
+    clock = createClock();
+    const fired = jest.fn();
+    clock.setTimeout(fired, 100);
+    jest.advanceTimersByTime(60);
+    clock.pause();
+    jest.advanceTimersByTime(500);
+    clock.resume();
+
+    jest.advanceTimersByTime(39);
+    expect(fired).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(fired).toHaveBeenCalledTimes(1);
+  });
+
+  it("clears timers and frames", () => {
+    clock = createClock();
+    const fired = jest.fn();
+    clock.clearTimeout(clock.setTimeout(fired, 10));
+    clock.cancelFrame(clock.requestFrame(fired));
+
+    jest.advanceTimersByTime(100);
+    expect(fired).not.toHaveBeenCalled();
+  });
+
+  it("scales, pauses and steps tracked Web Animations", async () => {
+    clock = createClock({ timeScale: 0.5 });
+    const element = document.createElement("div");
+    const animation = clock.track(element.animate([{ opacity: 0 }, { opacity: 1 }], { duration: 100 }));
+    expect(animation.playbackRate).toBe(0.5);
+
+    jest.advanceTimersByTime(100);
+    expect(animation.currentTime).toBe(50);
+    clock.pause();
+    expect(animation.playState).toBe("paused");
+
+    clock.step(16);
+    expect(animation.currentTime).toBe(66);
+    clock.step(50);
+    expect(animation.playState).toBe("finished");
+    await expect(animation.finished).resolves.toBe(animation);
+  });
+});
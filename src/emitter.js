@@ -0,0 +1,49 @@
+// emitter.js
+// Minimal event emitter used to let host apps observe what Astro is doing.
+
+export function createEmitter() {
+  const listeners = new Map();
+
+  const off = (type, callback) => {
+    const set = listeners.get(type);
+    if (!set) return;
+    set.delete(callback);
+    if (set.size === 0) listeners.delete(type);
+  };
+
+  // Subscribe to an event; returns an unsubscribe function
+  const on = (type, callback) => {
+    if (typeof callback !== "function") {
+      throw new TypeError(`[Astro] Listener for "${type}" must be a function`);
+    }
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(callback);
+    return () => off(type, callback);
+  };
+
+  // Subscribe for a single emission
+  const once = (type, callback) => {
+    const unsubscribe = on(type, (detail) => {
+      unsubscribe();
+      callback(detail);
+    });
+    return unsubscribe;
+  };
+
+  const emit = (type, detail) => {
+    const set = listeners.get(type);
+    if (!set) return;
+    // Copy so listeners can unsubscribe while we iterate
+    [...set].forEach((callback) => {
+      try {
+        callback(detail);
+      } catch (err) {
+        console.error(`[Astro] "${type}" listener failed:`, err);
+      }
+    });
+  };
+
+  const clear = () => listeners.clear();
+
+  return { on, once, off, emit, clear };
+}
@@ -0,0 +1,53 @@
+// errors.js
+// Typed rejection reasons for the promises returned by the Astro ref and
+// the chat transports.
+
+export const CANCEL_REASONS = {
+  CANCELLED: "cancelled",   // cancelAnimations() was called
+  SUPERSEDED: "superseded", // a newer animation replaced this one (cancelPrevious, debounce)
+};
+
+// Rejection for queued animations that never got to finish
+export class AnimationCancelledError extends Error {
+  constructor(reason = CANCEL_REASONS.CANCELLED) {
+    super(`[Astro] Animation ${reason}`);
+    this.name = "AnimationCancelledError";
+    this.reason = reason;
+  }
+}
+
+// Rejection for lifecycle events the state machine refused or dropped
+export class LifecycleTransitionError extends Error {
+  constructor(event, state, reason) {
+    super(`[Astro] ${event} was ${reason} in state "${state}"`);
+    this.name = "LifecycleTransitionError";
+    this.event = event;
+    this.state = state;
+    this.reason = reason;
+  }
+}
+
+// Fire-and-forget callers should not trigger unhandled rejection warnings;
+// anyone who awaits the returned promise still sees the rejection
+export function handled(promise) {
+  promise.catch(() => {});
+  return promise;
+}
+
+// Why a chat transport stopped streaming (see chatTransport.js)
+export const TRANSPORT_ERRORS = {
+  ABORTED: "aborted", // the request's AbortSignal fired
+  NETWORK: "network", // no connection, or it dropped mid-stream
+  HTTP: "http",       // the server answered with a non-2xx status
+  SERVER: "server",   // the server reported an error or sent something unreadable
+};
+
+// Rejection for chat requests that failed or were aborted
+export class ChatTransportError extends Error {
+  constructor(reason, message, details = {}) {
+    super(`[Astro] Chat ${reason}: ${message}`);
+    this.name = "ChatTransportError";
+    this.reason = reason;
+    this.status = details.status ?? null;
+  }
+}
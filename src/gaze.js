@@ -0,0 +1,49 @@
+// gaze.js
+// Where Astro's eyes point. Screen points become Rive eye inputs (0-100 on
+// each axis, 50 = straight ahead) through a look range and a response curve
+// (eyeTracking.LOOK_RANGE / LOOK_CURVE). Gaze sources have priorities: a
+// target set through the API holds the eyes until it ends, unless a target of
+// equal or higher priority replaces it.
+//
+//   astro.lookAtElement(toast, { duration: 1200 });
+//   const stop = astro.followElement(button, { priority: GAZE_PRIORITY.FOCUS });
+
+// Higher numbers win. AMBIENT, POINTER, CARET and TRAVEL are Astro's own
+// gaze sources; GLANCE (the default) and FOCUS are for apps
+export const GAZE_PRIORITY = {
+  AMBIENT: -1, // Idle glances around (see idleBehavior.js)
+  POINTER: 0,  // Mouse, touch and pen tracking, keyboard focus
+  CARET: 1,    // onUserTyping / trackInput
+  TRAVEL: 2,   // Looking where a move is headed
+  GLANCE: 3,   // lookAt / lookAtElement / followElement default
+  FOCUS: 4,    // Gaze that travel and glances shouldn't interrupt
+};
+
+// Map how far off-center a target is (0-1 of the look range) to how far the
+// eyes turn (0-1). Add entries or pass a function as LOOK_CURVE.
+export const GAZE_CURVES = {
+  linear: (t) => t,
+  "ease-out": (t) => 1 - (1 - t) * (1 - t), // Eyes react strongly to nearby targets
+  "ease-in": (t) => t * t,                  // Eyes stay calm until targets are far off
+};
+
+export const hasGazeCurve = (curve) =>
+  typeof curve === "function" || Object.prototype.hasOwnProperty.call(GAZE_CURVES, curve);
+
+// Rive eye inputs for looking from `center` at `point`.
+// For X: targets left of Astro give higher values (looks left), right give lower values.
+// For Y: targets above Astro give higher values (looks up), below give lower values.
+export function gazeToEyes(point, center, { range = 300, curve = "linear" } = {}) {
+  const shape = typeof curve === "function" ? curve : GAZE_CURVES[curve] || GAZE_CURVES.linear;
+  const axis = (delta) => {
+    const t = Math.min(1, Math.abs(delta) / range);
+    return 50 - Math.sign(delta) * Math.max(0, Math.min(1, shape(t))) * 50;
+  };
+  return { x: axis(point.x - center.x), y: axis(point.y - center.y) };
+}
+
+// Center of an element in screen coordinates
+export function elementCenter(element) {
+  const rect = element.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+}
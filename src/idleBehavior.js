@@ -0,0 +1,142 @@
+// idleBehavior.js
+// What Astro does while nobody interacts. Inactivity moves through stages -
+// awake, bored (timing.BOREDOM_TIMEOUT), restless (idle.RESTLESS_AFTER) and
+// asleep (idle.SLEEP_AFTER) - and every few seconds the scheduler picks a
+// weighted ambient action for the current stage (see IDLE_BEHAVIOR in
+// astroConfig.js). Any user activity wakes Astro and starts over:
+//
+//   <Astro config={{ idle: { SLEEP_AFTER: 30000, ACTIONS: { drift: { cooldown: 4000 } } } }} />
+//   astro.on("idleStageChange", ({ stage, previous }) => ...);
+
+import { astroClock } from "./clock";
+
+// In order of inactivity; every stage but "awake" starts after a config delay
+export const IDLE_STAGES = ["awake", "bored", "restless", "asleep"];
+
+// Ambient action types the controller knows how to play
+export const IDLE_ACTION_TYPES = ["glance", "drift", "trigger"];
+
+// Inactivity (ms) at which each stage starts; 0 turns a stage off
+const stageStarts = (config) => ({
+  bored: config.timing.BOREDOM_TIMEOUT,
+  restless: config.idle.RESTLESS_AFTER,
+  asleep: config.idle.SLEEP_AFTER,
+});
+
+// The deepest stage reached after `elapsed` ms without activity
+export function idleStageAt(elapsed, config) {
+  const starts = stageStarts(config);
+  return IDLE_STAGES.reduce(
+    (stage, name) => (starts[name] && elapsed >= starts[name] ? name : stage),
+    "awake"
+  );
+}
+
+// Weighted pick among `actions` ({ name: { weights: { stage: n }, cooldown } })
+// that have weight in `stage` and are off cooldown. Returns a name or null.
+export function pickIdleAction(actions, stage, lastRun = {}, now = 0, random = Math.random) {
+  const candidates = Object.entries(actions).filter(
+    ([name, action]) =>
+      (action.weights?.[stage] ?? 0) > 0 &&
+      (lastRun[name] === undefined || now - lastRun[name] >= (action.cooldown ?? 0))
+  );
+  const total = candidates.reduce((sum, [, action]) => sum + action.weights[stage], 0);
+  if (!total) return null;
+
+  let roll = random() * total;
+  for (const [name, action] of candidates) {
+    roll -= action.weights[stage];
+    if (roll < 0) return name;
+  }
+  return candidates[candidates.length - 1][0];
+}
+
+// options.getConfig()                     current resolved config (timing + idle)
+// options.canAct()                        false while ambient actions would get in the way
+// options.perform(name, action, stage)    play an ambient action
+// options.onStage(stage, previous)        the idle stage changed
+// options.clock                           timers and time (see clock.js), astroClock by default
+// options.random()                        0-1 random source
+export function createIdleScheduler(options) {
+  const { getConfig, canAct, perform, onStage, clock = astroClock, random = Math.random } = options;
+  const now = () => clock.now();
+  let stage = "awake";
+  let lastActivity = now();
+  let lastRun = {}; // Action name -> when it last played, for cooldowns
+  let stageTimer = null;
+  let actionTimer = null;
+  let running = false;
+
+  const setStage = (next) => {
+    if (next === stage) return;
+    const previous = stage;
+    stage = next;
+    onStage(next, previous);
+  };
+
+  // Wake up for the next stage boundary
+  const scheduleStage = () => {
+    clock.clearTimeout(stageTimer);
+    const elapsed = now() - lastActivity;
+    const starts = stageStarts(getConfig());
+    const upcoming = IDLE_STAGES.slice(IDLE_STAGES.indexOf(stage) + 1)
+      .map((name) => starts[name])
+      .filter((start) => start && start > elapsed);
+    if (!upcoming.length) return;
+    stageTimer = clock.setTimeout(() => {
+      setStage(idleStageAt(now() - lastActivity, getConfig()));
+      scheduleStage();
+    }, Math.min(...upcoming) - elapsed);
+  };
+
+  const scheduleAction = () => {
+    clock.clearTimeout(actionTimer);
+    const { ACTION_INTERVAL, ACTION_VARIATION } = getConfig().idle;
+    const delay = Math.max(0, ACTION_INTERVAL + (random() - 0.5) * ACTION_VARIATION * 2);
+    actionTimer = clock.setTimeout(() => {
+      const { ENABLED, ACTIONS } = getConfig().idle;
+      if (ENABLED && canAct()) {
+        const t = now();
+        const name = pickIdleAction(ACTIONS, stage, lastRun, t, random);
+        if (name) {
+          lastRun[name] = t;
+          perform(name, ACTIONS[name], stage);
+        }
+      }
+      scheduleAction();
+    }, delay);
+  };
+
+  const stop = () => {
+    running = false;
+    clock.clearTimeout(stageTimer);
+    clock.clearTimeout(actionTimer);
+    stageTimer = null;
+    actionTimer = null;
+  };
+
+  return {
+    // The user did something: back to awake, stages and actions start over
+    activity() {
+      running = true;
+      lastActivity = now();
+      setStage("awake");
+      scheduleStage();
+      scheduleAction();
+    },
+    // Jump straight to a stage (e.g. sleep on request); activity still wakes
+    enter(next) {
+      if (!IDLE_STAGES.includes(next)) throw new Error(`[Astro] Unknown idle stage: ${next}`);
+      const start = stageStarts(getConfig())[next];
+      lastActivity = now() - (start || 0);
+      setStage(next);
+      if (running) scheduleStage();
+    },
+    stage: () => stage,
+    stop,
+    destroy() {
+      stop();
+      lastRun = {};
+    },
+  };
+}
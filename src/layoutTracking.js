@@ -0,0 +1,35 @@
+// layoutTracking.js
+// Notifies Astro when the page layout may have moved its resting position:
+// window resizes, orientation changes, pinch-zoom and scrolling containers.
+
+import { astroClock } from "./clock";
+
+// Watch layout signals and call onChange() at most once per `clock` frame
+// (see clock.js). Returns a stop function that removes every listener.
+export function trackLayout(onChange, clock = astroClock) {
+  let frameId = null;
+
+  const scheduleChange = () => {
+    if (frameId !== null) return;
+    frameId = clock.requestFrame(() => {
+      frameId = null;
+      onChange();
+    });
+  };
+
+  const viewport = window.visualViewport;
+
+  window.addEventListener("resize", scheduleChange);
+  window.addEventListener("orientationchange", scheduleChange);
+  // Scroll does not bubble, so capture it to hear inner panes like .chat-list
+  window.addEventListener("scroll", scheduleChange, true);
+  viewport?.addEventListener("resize", scheduleChange);
+
+  return () => {
+    if (frameId !== null) clock.cancelFrame(frameId);
+    window.removeEventListener("resize", scheduleChange);
+    window.removeEventListener("orientationchange", scheduleChange);
+    window.removeEventListener("scroll", scheduleChange, true);
+    viewport?.removeEventListener("resize", scheduleChange);
+  };
+}
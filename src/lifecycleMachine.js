@@ -0,0 +1,306 @@
+// lifecycleMachine.js
+// Declarative state machine for Astro's chat lifecycle. The definition lists
+// the legal transitions; entry/exit/transition actions are plain data that
+// Astro maps to Rive triggers and movements.
+
+import { LifecycleTransitionError, handled } from "./errors";
+
+// ========================================
+// ========== DEFAULT LIFECYCLE ==========
+// ========================================
+
+// Event names sent by the lifecycle methods on the Astro ref
+export const LIFECYCLE_EVENTS = {
+  CHAT_OPEN: "CHAT_OPEN",
+  FIRST_FOCUS: "FIRST_FOCUS",
+  USER_SENDS_MESSAGE: "USER_SENDS_MESSAGE",
+  AI_MESSAGE_READY: "AI_MESSAGE_READY",
+  AI_MESSAGE_SHOWN: "AI_MESSAGE_SHOWN",
+  AI_MESSAGE_ERROR: "AI_MESSAGE_ERROR",
+};
+
+// The AI call failed (or timed out): shake with UNDO next to the message that
+// never came, then head back to the chat box the user sent from
+const AI_ERROR_TRANSITION = {
+  target: "at-chat-box",
+  actions: [
+    { type: "shake", input: "UNDO" },
+    { type: "move", to: "above-chat-box", endState: "idle", skipShrink: true, delay: "RETURN_TO_CHAT_DELAY" },
+  ],
+};
+
+// Action shapes:
+//   { type: "move", to: <logical position>, from?, endState?, skipShrink?, delay?, cancelPrevious? }
+//   { type: "trigger", input: <RIVE_STATES key> }
+//   { type: "mood", mood: <config.moods name>, intensity? }
+//   { type: "shake", input?: <RIVE_STATES key fired as the shake starts> }
+//
+// A state's `timeout: { after, event, payload? }` sends `event` when the state
+// lasts longer than `after` (ms, or a config.timing key); see AstroController.
+export const ASTRO_LIFECYCLE = {
+  initial: "hidden",
+
+  // Events that arrive too early wait for a state that accepts them
+  // instead of being rejected (e.g. a focus before the chat has opened)
+  queue: [
+    LIFECYCLE_EVENTS.FIRST_FOCUS,
+    LIFECYCLE_EVENTS.AI_MESSAGE_READY,
+    LIFECYCLE_EVENTS.AI_MESSAGE_SHOWN,
+  ],
+
+  // Queued events an accepted event makes stale: reply signals left over
+  // from the previous exchange must not skip the new one's moves
+  dropQueued: {
+    USER_SENDS_MESSAGE: [LIFECYCLE_EVENTS.AI_MESSAGE_READY, LIFECYCLE_EVENTS.AI_MESSAGE_SHOWN],
+  },
+
+  // Transitions accepted from every state
+  on: {
+    CHAT_OPEN: {
+      target: "greeting",
+      actions: [{ type: "move", from: "off-screen-right", to: "top-middle", endState: "idle", cancelPrevious: true }],
+    },
+  },
+
+  states: {
+    hidden: {},
+
+    greeting: {
+      on: {
+        FIRST_FOCUS: {
+          target: "at-chat-box",
+          guard: "hasTarget",
+          actions: [{ type: "move", to: "above-chat-box", endState: "idle" }],
+        },
+      },
+    },
+
+    "at-chat-box": {
+      on: {
+        USER_SENDS_MESSAGE: { target: "awaiting-ai", guard: "hasTarget" },
+      },
+    },
+
+    "awaiting-ai": {
+      entry: [{ type: "move", to: "near-ai-message", endState: "small-loader" }],
+      // Watchdog: give up on replies that never become ready
+      timeout: { after: "AI_READY_TIMEOUT", event: LIFECYCLE_EVENTS.AI_MESSAGE_ERROR, payload: { reason: "timeout" } },
+      on: {
+        AI_MESSAGE_READY: "ai-ready",
+        AI_MESSAGE_ERROR: AI_ERROR_TRANSITION,
+      },
+    },
+
+    "ai-ready": {
+      entry: [{ type: "trigger", input: "PULSE" }],
+      on: {
+        AI_MESSAGE_SHOWN: {
+          target: "at-chat-box",
+          guard: "hasTarget",
+          actions: [{ type: "move", to: "above-chat-box", endState: "idle", skipShrink: true, delay: "RETURN_TO_CHAT_DELAY" }],
+        },
+        // The stream broke after its first token
+        AI_MESSAGE_ERROR: AI_ERROR_TRANSITION,
+      },
+    },
+  },
+};
+
+// Maximum number of transitions kept in the history
+const HISTORY_LIMIT = 50;
+
+// ========================================
+// ========== MACHINE ====================
+// ========================================
+
+// Normalize "target" shorthand into a transition object
+function toTransition(config) {
+  return typeof config === "string" ? { target: config } : config;
+}
+
+function toActionList(actions) {
+  if (!actions) return [];
+  return Array.isArray(actions) ? actions : [actions];
+}
+
+// Create a machine from a definition.
+// options.guards:   { [name]: (payload, machine) => boolean }
+// options.actions:  { [type]: (action, payload, transition) => result | Promise }
+// options.onTransition({ from, to, event, payload })
+// options.onReject({ state, event, payload, reason })
+// options.now()     time stamped on history entries (Astro passes its clock)
+export function createStateMachine(definition, options = {}) {
+  const { guards = {}, actions = {}, onTransition, onReject, now = () => Date.now() } = options;
+
+  if (!definition?.states?.[definition.initial]) {
+    throw new Error(`[Astro] Lifecycle definition has no initial state "${definition?.initial}"`);
+  }
+
+  const queueable = new Set(definition.queue || []);
+  let state = definition.initial;
+  let history = [];
+  let pending = [];
+
+  const findTransition = (event) => {
+    const stateConfig = definition.states[state];
+    const config = stateConfig?.on?.[event] ?? definition.on?.[event];
+    return config ? toTransition(config) : null;
+  };
+
+  const checkGuard = (transition, payload) => {
+    if (!transition.guard) return true;
+    const guard = typeof transition.guard === "function" ? transition.guard : guards[transition.guard];
+    if (!guard) {
+      console.warn(`[Astro] Unknown lifecycle guard: ${transition.guard}`);
+      return false;
+    }
+    return !!guard(payload, machine);
+  };
+
+  // Run actions and collect what their handlers return (usually promises)
+  const runActions = (list, payload, transition) =>
+    toActionList(list).map((action) => {
+      const type = typeof action === "string" ? action : action.type;
+      const handler = actions[type];
+      if (!handler) {
+        console.warn(`[Astro] No handler for lifecycle action: ${type}`);
+        return undefined;
+      }
+      try {
+        return handler(typeof action === "string" ? { type } : action, payload, transition);
+      } catch (err) {
+        console.error(`[Astro] Lifecycle action "${type}" failed:`, err);
+        return Promise.reject(err);
+      }
+    });
+
+  // Reject the queued events definition.dropQueued lists for `event`
+  const dropStale = (event) => {
+    const stale = definition.dropQueued?.[event];
+    if (!stale) return;
+    pending = pending.filter((p) => {
+      if (!stale.includes(p.event)) return true;
+      console.log(`[Astro] Dropped queued ${p.event} after ${event}`);
+      p.deferred.reject(new LifecycleTransitionError(p.event, state, "superseded"));
+      return false;
+    });
+  };
+
+  // Attempt a single transition; status is "changed", "illegal" or "blocked"
+  const transition = (event, payload) => {
+    const config = findTransition(event);
+    if (!config) return { status: "illegal", results: [] };
+    if (!checkGuard(config, payload)) return { status: "blocked", results: [] };
+
+    const from = state;
+    const to = config.target ?? from;
+    const info = { from, to, event, payload };
+    const results = [];
+
+    if (to !== from) results.push(...runActions(definition.states[from]?.exit, payload, info));
+    results.push(...runActions(config.actions, payload, info));
+    state = to;
+    if (to !== from) results.push(...runActions(definition.states[to]?.entry, payload, info));
+
+    history = [...history, { from, to, event, at: now() }].slice(-HISTORY_LIMIT);
+    dropStale(event);
+    onTransition?.(info);
+    return { status: "changed", results };
+  };
+
+  // Settle a send() promise from the outcome of its transition
+  const settle = (deferred, event, { status, results }) => {
+    if (status === "changed") {
+      deferred.resolve(Promise.all(results));
+    } else {
+      const reason = status === "blocked" ? "blocked by a guard" : "rejected";
+      deferred.reject(new LifecycleTransitionError(event, state, reason));
+    }
+  };
+
+  // Retry queued events in arrival order until none of them apply
+  const drainPending = () => {
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (let i = 0; i < pending.length; i++) {
+        const { event, payload, deferred } = pending[i];
+        if (findTransition(event)) {
+          pending.splice(i, 1);
+          settle(deferred, event, transition(event, payload));
+          progressed = true;
+          break;
+        }
+      }
+    }
+  };
+
+  const machine = {
+    get state() {
+      return state;
+    },
+
+    get history() {
+      return history.slice();
+    },
+
+    get pending() {
+      return pending.map(({ event }) => event);
+    },
+
+    can(event) {
+      return !!findTransition(event);
+    },
+
+    // Send an event; returns { changed, queued, state, done }.
+    // `done` resolves with the action results once the transition happens
+    // (later, for queued events) and rejects with a LifecycleTransitionError
+    // when the event is refused or dropped.
+    send(event, payload) {
+      const deferred = {};
+      const done = handled(
+        new Promise((resolve, reject) => {
+          deferred.resolve = resolve;
+          deferred.reject = reject;
+        })
+      );
+
+      const result = transition(event, payload);
+
+      if (result.status === "illegal" && queueable.has(event)) {
+        // Keep only the newest payload for each queued event type
+        pending = pending.filter((p) => {
+          if (p.event !== event) return true;
+          p.deferred.reject(new LifecycleTransitionError(event, state, "superseded"));
+          return false;
+        });
+        pending.push({ event, payload, deferred });
+        console.log(`[Astro] Queued ${event} until it is legal (state: ${state})`);
+        return { changed: false, queued: true, state, done };
+      }
+
+      if (result.status !== "changed") {
+        const reason = result.status === "blocked" ? "guard" : "illegal";
+        onReject?.({ state, event, payload, reason });
+        settle(deferred, event, result);
+        return { changed: false, queued: false, state, done };
+      }
+
+      settle(deferred, event, result);
+      drainPending();
+      return { changed: true, queued: false, state, done };
+    },
+
+    // Return to the initial state and forget history and queued events
+    reset() {
+      pending.forEach(({ event, deferred }) =>
+        deferred.reject(new LifecycleTransitionError(event, state, "cancelled"))
+      );
+      state = definition.initial;
+      history = [];
+      pending = [];
+    },
+  };
+
+  return machine;
+}
@@ -0,0 +1,41 @@
+// mockReplies.js
+// Canned assistant replies for the mock chat transport and the dev server
+// (scripts/mockChatServer.mjs). No imports, so Node can load it directly.
+
+// Generate contextual replies
+export function generateReply(text) {
+  const t = text.toLowerCase();
+  
+  // Check for Rive state keywords
+  if (t.includes("publish")) return "Great! The publish animation is triggered! 🚀";
+  if (t.includes("undo")) return "Undo animation played! Going back... ↩️";
+  if (t.includes("idea")) return "💡 Idea spark animation triggered!";
+  if (t.includes("loader") || t.includes("loading")) return "The loader animation is spinning! ⏳";
+  if (t.includes("pulse")) return "Pulsing with excitement! 💫";
+  if (t.includes("idle")) return "Back to idle state, just chilling... 😌";
+  if (t.includes("shrink") || t.includes("small")) return "Getting smaller... 🫧";
+  if (t.includes("bored")) return "Yawn... triggering boredom animation... 😴";
+  
+  // Movement related
+  if (t.includes("move")) return "I can move anywhere on the screen! Watch the trail effect! ✨";
+  if (t.includes("animation")) return "All animations are working! Try the control buttons above.";
+  if (t.includes("hello") || t.includes("hi")) return "Hello! I'm Astro, your animated assistant! 👋";
+  if (t.includes("test")) return "Testing complete! All systems operational. ✅";
+  
+  // Default responses
+  const responses = [
+    "That's interesting! Tell me more. 🤔",
+    "I see what you mean! Let me think about that... 💭",
+    "Great point! Here's what I think... 🎯",
+    "Thanks for sharing! Want to try the animations? ✨",
+    "Got it! Try clicking the control buttons above! 🎮",
+  ];
+  
+  return responses[Math.floor(Math.random() * responses.length)];
+}
+
+// Split a reply into word tokens (each keeps its trailing whitespace) to
+// stream it the way a model would
+export function tokenize(text) {
+  return text.match(/\s*\S+\s*/g) || [];
+}
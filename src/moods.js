@@ -0,0 +1,131 @@
+// moods.js
+// Emotion layer on top of Astro's Rive triggers. A mood (excited, confused,
+// thinking, success, error - see MOODS in astroConfig.js) has an intensity
+// (0-1) that decays over time; while it lasts, lower-priority moods are
+// ignored. Moods come from message text (detectMood) or the API:
+//
+//   astro.setMood("success", { intensity: 0.6 });
+//   astro.reactTo("That fixed it, thanks! 🎉");
+//   astro.on("moodChange", ({ mood, intensity }) => ...);
+
+import { astroClock } from "./clock";
+
+// Below this intensity a mood is over
+export const MIN_MOOD_INTENSITY = 0.15;
+
+const clampUnit = (n) => Math.max(0, Math.min(1, n));
+
+// ========================================
+// ========== DETECTION ==================
+// ========================================
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words match whole words ("hi" doesn't match "this"); emoji and
+// punctuation keywords match anywhere
+const keywordPattern = (keyword) => {
+  const escaped = escapeRegExp(keyword.toLowerCase());
+  return /^[\w' ]+$/.test(keyword) ? new RegExp(`\\b${escaped}\\b`, "g") : new RegExp(escaped, "g");
+};
+
+// Score every mood's keywords against `text`. Returns { mood, intensity }
+// for the best match (ties go to the higher priority), or null.
+export function detectMood(text, moods) {
+  if (typeof text !== "string" || !text.trim()) return null;
+  const lower = text.toLowerCase();
+  const exclamations = (text.match(/!/g) || []).length;
+
+  let best = null;
+  Object.entries(moods).forEach(([mood, definition]) => {
+    const hits = (definition.keywords || []).reduce(
+      (count, keyword) => count + (lower.match(keywordPattern(keyword)) || []).length,
+      0
+    );
+    if (!hits) return;
+    const better =
+      !best || hits > best.hits || (hits === best.hits && definition.priority > moods[best.mood].priority);
+    if (better) best = { mood, hits };
+  });
+
+  if (!best) return null;
+  // One keyword is a mild reaction; more keywords and "!" make it stronger
+  const intensity = clampUnit(0.45 + 0.2 * (best.hits - 1) + 0.1 * Math.min(exclamations, 3));
+  return { mood: best.mood, intensity };
+}
+
+// ========================================
+// ========== ENGINE =====================
+// ========================================
+
+// options.getMoods()                       current mood definitions (config.moods)
+// options.react(mood, definition, intensity)   play the mood's reaction
+// options.release(mood, definition)        undo anything held while the mood lasted
+// options.onChange({ mood, intensity, previous, source })
+// options.clock                            timers and time (see clock.js), astroClock by default
+export function createMoodEngine(options) {
+  const { getMoods, react, release, onChange, clock = astroClock } = options;
+  const now = () => clock.now();
+  let current = null; // { mood, level, since, decay, priority, source }
+  let timer = null;
+
+  // Intensity decays linearly: `decay` ms takes a full-intensity mood to 0
+  const intensityOf = (entry, t = now()) =>
+    entry ? clampUnit(entry.level - (t - entry.since) / entry.decay) : 0;
+
+  const active = (t = now()) => (current && intensityOf(current, t) >= MIN_MOOD_INTENSITY ? current : null);
+
+  const end = (source) => {
+    clock.clearTimeout(timer);
+    timer = null;
+    if (!current) return;
+    const previous = current.mood;
+    release(previous, getMoods()[previous]);
+    current = null;
+    onChange({ mood: null, intensity: 0, previous, source });
+  };
+
+  // Returns true when the mood took effect, false when a stronger mood holds
+  const set = (mood, { intensity = 1, source = "api" } = {}) => {
+    const definition = getMoods()[mood];
+    if (!definition) throw new Error(`[Astro] Unknown mood: ${mood}`);
+
+    const t = now();
+    const holding = active(t);
+    if (holding && holding.mood !== mood && definition.priority < holding.priority) return false;
+
+    // The same mood again builds on what is left of it
+    const level = holding?.mood === mood
+      ? clampUnit(intensityOf(holding, t) + clampUnit(intensity) / 2)
+      : clampUnit(intensity);
+    if (level < MIN_MOOD_INTENSITY) return false;
+
+    const previous = holding?.mood ?? null;
+    if (current && current.mood !== mood) release(current.mood, getMoods()[current.mood]);
+    current = { mood, level, since: t, decay: definition.decay, priority: definition.priority, source };
+
+    clock.clearTimeout(timer);
+    timer = clock.setTimeout(() => end("decay"), (level - MIN_MOOD_INTENSITY) * definition.decay);
+
+    if (previous !== mood) react(mood, definition, level);
+    onChange({ mood, intensity: level, previous, source });
+    return true;
+  };
+
+  const get = () => {
+    const holding = active();
+    return holding
+      ? { mood: holding.mood, intensity: intensityOf(holding), source: holding.source }
+      : { mood: null, intensity: 0, source: null };
+  };
+
+  return {
+    set,
+    get,
+    clear: () => end("cleared"),
+    destroy: () => {
+      clock.clearTimeout(timer);
+      timer = null;
+      current = null;
+    },
+  };
+}
@@ -0,0 +1,175 @@
+// mountAstro.js
+// Embed Astro in a page without React. Creates the character, lead dot and
+// trail elements, loads the Rive file and hands everything to an
+// AstroController:
+//
+//   const { astro, unmount } = mountAstro(document.body);
+//   astro.onChatOpen();
+//   astro.onFirstInputFocus(document.querySelector("textarea"));
+//   astro.setVariant("classic"); // cross-fades to another Rive file
+//   ...
+//   unmount();
+
+import { ASTRO_SIZE } from "./astroConfig";
+import { AstroController, getAstroElementStyles } from "./AstroController";
+import { resolveTrailRenderer } from "./trailRenderer";
+import { getPreloadedRiveFile } from "./riveAssets";
+import { loadRiveRuntime, nextRenderer } from "./riveRenderers";
+import { createPlaceholderRive } from "./placeholderRive";
+
+// Same clamp the React runtime uses for the canvas backing store
+const MAX_PIXEL_RATIO = 3;
+
+function createStyledElement(tag, style) {
+  const el = document.createElement(tag);
+  Object.entries(style).forEach(([key, value]) => {
+    el.style[key] = typeof value === "number" && key !== "zIndex" && key !== "opacity" ? `${value}px` : value;
+  });
+  return el;
+}
+
+// Mount Astro into `container` (document.body by default).
+// options: width, height, zIndex plus any AstroController option (config...).
+// The trail renderer, Rive renderer and dot appearance are read once here; astro.setConfig()
+// updates timing, eye tracking, colors and layout live, and astro.setVariant()
+// / setRiveAsset() swap the Rive file.
+export function mountAstro(container = document.body, options = {}) {
+  const {
+    width = ASTRO_SIZE.WIDTH,
+    height = ASTRO_SIZE.HEIGHT,
+    zIndex = ASTRO_SIZE.Z_INDEX,
+    ...controllerOptions
+  } = options;
+
+  const astro = new AstroController({ width, height, ...controllerOptions });
+  const { animation } = astro.config;
+
+  const styles = getAstroElementStyles({ width, height, zIndex, animation });
+  const trailElements =
+    resolveTrailRenderer(animation.TRAIL_RENDERER) === "canvas"
+      ? { trailCanvas: createStyledElement("canvas", styles.trailCanvas) }
+      : {
+          leadDot: createStyledElement("div", styles.leadDot),
+          trailDots: Array.from({ length: animation.TRAIL_COUNT }, () =>
+            createStyledElement("div", styles.trailDot)
+          ),
+        };
+  const { leadDot, trailDots = [], trailCanvas } = trailElements;
+  const wrapper = createStyledElement("div", styles.wrapper);
+
+  // Decorative; state changes are announced through the live region
+  const elements = [trailCanvas || leadDot, ...trailDots, wrapper];
+  elements.forEach((el) => el.setAttribute("aria-hidden", "true"));
+  container.append(...elements);
+
+  astro.attach({ wrapper, ...trailElements });
+
+  // One canvas (or placeholder) per Rive file: a swap loads the new file on top of the
+  // current one and fades it in once ready (see setRiveAsset)
+  let layers = []; // { id, element, rive, asset, shown }, newest last
+  let nextLayerId = 0;
+  let boundId = -1; // Layer whose Rive instance the controller uses
+  let riveRuntime = null; // { renderer, runtime } once loaded (see riveRenderers.js)
+  let unmounted = false;
+
+  const showLayer = (layer) => {
+    // Removed, or a newer file finished first
+    if (!layers.includes(layer) || layer.id < boundId) return;
+    boundId = layer.id;
+    astro.bindRive(layer.rive, layer.asset.stateMachine);
+    astro.handleRiveLoad(layer.asset.src);
+    layer.shown = true;
+    layer.element.style.opacity = "1";
+    // Older layers stay underneath while the new one fades in
+    const older = layers.slice(0, layers.indexOf(layer));
+    astro.clock.setTimeout(() => older.forEach(removeLayer), layer.fadeDuration);
+  };
+
+  const loadRive = (asset) => {
+    const { renderer, runtime } = riveRuntime;
+    // The placeholder draws an SVG into a plain container (see placeholderRive.js)
+    const element = document.createElement(renderer === "placeholder" ? "div" : "canvas");
+    if (runtime) {
+      const pixelRatio = Math.min(Math.max(1, window.devicePixelRatio || 1), MAX_PIXEL_RATIO);
+      element.width = width * pixelRatio;
+      element.height = height * pixelRatio;
+    }
+    Object.assign(element.style, { position: "absolute", inset: "0", width: "100%", height: "100%" });
+    const fadeDuration = astro.isReducedMotion() ? 0 : astro.config.timing.ASSET_SWAP_DURATION;
+    if (layers.length) {
+      element.style.opacity = "0";
+      element.style.transition = `opacity ${fadeDuration}ms ease`;
+    }
+    wrapper.appendChild(element);
+
+    // A newer swap replaces one still loading
+    layers.filter((layer) => !layer.shown).forEach(removeLayer);
+    const layer = { id: nextLayerId++, element, asset, fadeDuration, shown: !layers.length };
+    layers.push(layer);
+    const onStateChange = (event) => astro.handleRiveStateChange(event);
+
+    if (!runtime) {
+      layer.rive = createPlaceholderRive(element, { stateMachine: asset.stateMachine, onStateChange });
+      showLayer(layer);
+      return;
+    }
+    const buffer = getPreloadedRiveFile(asset.src);
+    layer.rive = new runtime.Rive({
+      ...(buffer ? { buffer } : { src: asset.src }),
+      canvas: element,
+      stateMachines: asset.stateMachine,
+      autoplay: true,
+      useOffscreenRenderer: true,
+      onLoad: () => {
+        layer.rive.resizeDrawingSurfaceToCanvas();
+        showLayer(layer);
+      },
+      onLoadError: (error) => {
+        // Nothing shown yet: try the next renderer; the placeholder always works
+        const next = nextRenderer(renderer);
+        if (boundId === -1 && next && riveRuntime?.renderer === renderer) {
+          console.warn(`[Astro] Rive failed to load with ${renderer}, falling back to ${next}:`, error);
+          if (next === "placeholder") astro.handleRiveLoadError(asset.src, error);
+          removeLayer(layer);
+          startRuntime(next);
+          return;
+        }
+        astro.handleRiveLoadError(asset.src, error);
+        if (!layer.shown) removeLayer(layer);
+      },
+      onStateChange,
+    });
+  };
+  const removeLayer = (layer) => {
+    if (!layers.includes(layer)) return;
+    layers = layers.filter((l) => l !== layer);
+    layer.rive.cleanup();
+    layer.element.remove();
+  };
+
+  // Best renderer this machine supports from `preferred` on, falling back
+  // from WebGL2 to WebGL1, Canvas and the SVG placeholder
+  const startRuntime = (preferred) => {
+    riveRuntime = null;
+    loadRiveRuntime(preferred).then((loaded) => {
+      if (unmounted) return;
+      riveRuntime = loaded;
+      astro.setRenderer(loaded.renderer);
+      loadRive(astro.getRiveAsset());
+    });
+  };
+  startRuntime(astro.config.renderer);
+  // Swaps before the runtime is ready load with it, as the current asset
+  const assetStop = astro.on("riveAssetChange", (asset) => riveRuntime && loadRive(asset));
+
+  // Stop the controller, release the Rive instances and remove the elements
+  const unmount = () => {
+    unmounted = true;
+    assetStop();
+    astro.destroy();
+    layers.forEach(removeLayer);
+    elements.forEach((el) => el.remove());
+  };
+
+  return { astro, unmount };
+}
@@ -0,0 +1,184 @@
+// placeholderRive.js
+// Last stop of the renderer fallback chain (see riveRenderers.js): an SVG
+// Astro animated with CSS for machines where no Rive runtime can draw. It
+// looks like a Rive instance to the controller - the same state machine
+// inputs (see EXPECTED_RIVE_INPUTS) and state change callbacks - so
+// blinking, eye tracking, boredom, colors and the lifecycle API keep working:
+//
+//   const rive = createPlaceholderRive(layer, { stateMachine, onStateChange });
+//   astro.bindRive(rive);
+
+import { EXPECTED_RIVE_INPUTS } from "./riveInputs";
+import { ASTRO_COLORS } from "./astroConfig";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const STYLE_ID = "astro-placeholder-styles";
+
+// The runtimes' StateMachineInputType values (see riveInputs.js)
+const INPUT_TYPE_CODES = { number: 56, trigger: 58, boolean: 59 };
+
+// How far the pupils travel from the center at the edge of the xAxis /
+// yAxis range (viewBox units)
+const PUPIL_RANGE = 3;
+
+// CSS effect each trigger plays (classes below); "loading" stays on until
+// the next trigger other than a blink, like the Rive loaders
+const TRIGGER_EFFECTS = {
+  BLINK: "blink",
+  PULSE: "pulse",
+  IDEA_SPARK: "spark",
+  UNDO: "undo",
+  PUBLISH: "publish",
+  SHRINK: "shrink",
+  BIG_LOADER: "loading",
+  SMALL_LOADER: "loading",
+  IDLE: null,
+};
+
+// Values the inputs start with before the controller sets any
+const INITIAL_VALUES = {
+  BOREDOM: false,
+  RED_COLOR: ASTRO_COLORS.green.r,
+  GREEN_COLOR: ASTRO_COLORS.green.g,
+  BLUE_COLOR: ASTRO_COLORS.green.b,
+  MOUSE_X: 50,
+  MOUSE_Y: 50,
+};
+
+const MARKUP = `
+  <g class="astro-placeholder__body">
+    <circle class="astro-placeholder__glow" cx="50" cy="50" r="46" />
+    <circle class="astro-placeholder__loader" cx="50" cy="50" r="45" />
+    <circle class="astro-placeholder__shell" cx="50" cy="50" r="38" />
+    <g class="astro-placeholder__eyes">
+      <ellipse cx="38" cy="46" rx="7" ry="9" fill="#fff" />
+      <ellipse cx="62" cy="46" rx="7" ry="9" fill="#fff" />
+      <g class="astro-placeholder__pupils">
+        <circle cx="38" cy="47" r="3.5" />
+        <circle cx="62" cy="47" r="3.5" />
+      </g>
+    </g>
+  </g>
+`;
+
+// Motion other than blinking only plays without prefers-reduced-motion
+const STYLES = `
+.astro-placeholder { position: absolute; inset: 0; width: 100%; height: 100%; overflow: visible; }
+.astro-placeholder * { transform-box: fill-box; transform-origin: center; }
+.astro-placeholder__shell { transition: fill 150ms linear; }
+.astro-placeholder__glow { fill: currentColor; opacity: 0.2; }
+.astro-placeholder__loader { fill: none; stroke: currentColor; stroke-width: 3; stroke-dasharray: 70 214; opacity: 0; }
+.astro-placeholder__pupils { fill: #1b1b2f; }
+.astro-placeholder__eyes { transition: transform 300ms ease; }
+.astro-placeholder--bored .astro-placeholder__eyes { transform: scaleY(0.55); }
+.astro-placeholder--loading .astro-placeholder__loader { opacity: 1; }
+.astro-placeholder--blink .astro-placeholder__eyes { animation: astro-placeholder-blink 160ms ease-in-out; }
+@keyframes astro-placeholder-blink { 50% { transform: scaleY(0.1); } }
+@media (prefers-reduced-motion: no-preference) {
+  .astro-placeholder__body { animation: astro-placeholder-float 3s ease-in-out infinite; }
+  .astro-placeholder--pulse .astro-placeholder__shell { animation: astro-placeholder-pulse 400ms ease-out; }
+  .astro-placeholder--spark .astro-placeholder__glow { animation: astro-placeholder-spark 600ms ease-out; }
+  .astro-placeholder--undo .astro-placeholder__shell { animation: astro-placeholder-undo 500ms ease-in-out; }
+  .astro-placeholder--publish .astro-placeholder__shell { animation: astro-placeholder-publish 500ms ease-out; }
+  .astro-placeholder--shrink .astro-placeholder__shell { animation: astro-placeholder-shrink 500ms ease-in-out; }
+  .astro-placeholder--loading .astro-placeholder__loader { animation: astro-placeholder-spin 1s linear infinite; }
+}
+@keyframes astro-placeholder-float { 50% { transform: translateY(-3px); } }
+@keyframes astro-placeholder-pulse { 40% { transform: scale(1.12); } }
+@keyframes astro-placeholder-spark { 40% { opacity: 0.9; transform: scale(1.15); } }
+@keyframes astro-placeholder-undo { 30% { transform: rotate(-15deg); } 70% { transform: rotate(15deg); } }
+@keyframes astro-placeholder-publish { 40% { transform: translateY(-12px); } }
+@keyframes astro-placeholder-shrink { 50% { transform: scale(0.7); } }
+@keyframes astro-placeholder-spin { to { transform: rotate(360deg); } }
+`;
+
+// One <style> element for every placeholder on the page
+function injectStyles() {
+  if (document.getElementById(STYLE_ID)) return;
+  const style = document.createElement("style");
+  style.id = STYLE_ID;
+  style.textContent = STYLES;
+  document.head.appendChild(style);
+}
+
+// Render a placeholder Astro into `container` and return a Rive-like
+// instance: { stateMachineNames, stateMachineInputs(name), cleanup() }.
+// options.stateMachine  name reported to bindRive (default "Placeholder")
+// options.onStateChange({ data: [stateName] }) after every trigger, like Rive
+export function createPlaceholderRive(container, options = {}) {
+  const { stateMachine = "Placeholder", onStateChange } = options;
+  injectStyles();
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("viewBox", "0 0 100 100");
+  svg.setAttribute("class", "astro-placeholder");
+  svg.innerHTML = MARKUP;
+  container.appendChild(svg);
+
+  const shell = svg.querySelector(".astro-placeholder__shell");
+  const pupils = svg.querySelector(".astro-placeholder__pupils");
+  const values = { ...INITIAL_VALUES };
+  let stateFrame = null;
+
+  const render = () => {
+    const color = `rgb(${values.RED_COLOR}, ${values.GREEN_COLOR}, ${values.BLUE_COLOR})`;
+    shell.setAttribute("fill", color);
+    svg.style.color = color; // Glow and loader ring
+    const dx = ((values.MOUSE_X - 50) / 50) * PUPIL_RANGE;
+    const dy = ((values.MOUSE_Y - 50) / 50) * PUPIL_RANGE;
+    pupils.setAttribute("transform", `translate(${dx.toFixed(2)} ${dy.toFixed(2)})`);
+    svg.classList.toggle("astro-placeholder--bored", values.BOREDOM);
+  };
+
+  // Restart the effect's animation even if it is still playing
+  const play = (effect) => {
+    if (effect !== "blink") svg.classList.remove("astro-placeholder--loading");
+    if (!effect) return;
+    const className = `astro-placeholder--${effect}`;
+    svg.classList.remove(className);
+    void svg.getBoundingClientRect(); // Reflow so the animation starts over
+    svg.classList.add(className);
+  };
+
+  // Drop one-shot effect classes once their animation ends
+  const handleAnimationEnd = (e) => {
+    const effect = e.animationName.replace("astro-placeholder-", "");
+    if (effect !== "float" && effect !== "spin") svg.classList.remove(`astro-placeholder--${effect}`);
+  };
+  svg.addEventListener("animationend", handleAnimationEnd);
+
+  const fire = (key, name) => {
+    play(TRIGGER_EFFECTS[key]);
+    // Rive reports the new state on its next frame
+    cancelAnimationFrame(stateFrame);
+    stateFrame = requestAnimationFrame(() => onStateChange?.({ data: [name] }));
+  };
+
+  const inputs = Object.entries(EXPECTED_RIVE_INPUTS).map(([key, { name, type }]) => {
+    const input = { name, type: INPUT_TYPE_CODES[type] };
+    if (type === "trigger") {
+      input.fire = () => fire(key, name);
+    } else {
+      Object.defineProperty(input, "value", {
+        get: () => values[key],
+        set: (value) => {
+          values[key] = value;
+          render();
+        },
+        enumerable: true,
+      });
+    }
+    return input;
+  });
+  render();
+
+  return {
+    stateMachineNames: [stateMachine],
+    stateMachineInputs: (name) => (name === stateMachine ? inputs : null),
+    cleanup() {
+      cancelAnimationFrame(stateFrame);
+      svg.removeEventListener("animationend", handleAnimationEnd);
+      svg.remove();
+    },
+  };
+}
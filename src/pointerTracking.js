@@ -0,0 +1,74 @@
+// pointerTracking.js
+// Shared input listeners for every Astro on the page: one set of pointer
+// listeners (mouse, touch and pen) and one focusin listener. Each instance
+// subscribes instead of adding its own window listeners.
+
+// pointermove covers hovering mice and pens; touch only moves while pressed,
+// so pointerdown catches taps. Older browsers fall back to mousemove.
+const POINTER_EVENTS =
+  typeof window !== "undefined" && window.PointerEvent ? ["pointermove", "pointerdown"] : ["mousemove"];
+
+// ========================================
+// ========== POINTER ====================
+// ========================================
+
+const pointerSubscribers = new Set();
+
+const handlePointer = (e) => {
+  // Copy so subscribers can unsubscribe while we iterate
+  [...pointerSubscribers].forEach((callback) => callback(e));
+};
+
+// Call callback(event) on every pointer move or press (e.clientX / e.clientY,
+// e.pointerType "mouse", "touch" or "pen"); returns an unsubscribe function.
+// The window listeners exist only while someone is subscribed.
+export function subscribePointer(callback) {
+  if (pointerSubscribers.size === 0) {
+    POINTER_EVENTS.forEach((type) => window.addEventListener(type, handlePointer, { passive: true }));
+  }
+  pointerSubscribers.add(callback);
+
+  return () => {
+    if (!pointerSubscribers.delete(callback)) return;
+    if (pointerSubscribers.size === 0) {
+      POINTER_EVENTS.forEach((type) => window.removeEventListener(type, handlePointer));
+    }
+  };
+}
+
+// ========================================
+// ========== KEYBOARD FOCUS =============
+// ========================================
+
+const focusSubscribers = new Set();
+
+// Focus the browser would draw a focus ring for (Tab navigation, not clicks)
+const isKeyboardFocus = (element) => {
+  try {
+    return element.matches(":focus-visible");
+  } catch {
+    return true; // No :focus-visible support, assume keyboard
+  }
+};
+
+const handleFocusIn = (e) => {
+  const element = e.target;
+  if (!element?.matches || !isKeyboardFocus(element)) return;
+  [...focusSubscribers].forEach((callback) => callback(element));
+};
+
+// Call callback(element) when keyboard navigation focuses an element;
+// returns an unsubscribe function
+export function subscribeFocus(callback) {
+  if (focusSubscribers.size === 0) {
+    document.addEventListener("focusin", handleFocusIn);
+  }
+  focusSubscribers.add(callback);
+
+  return () => {
+    if (!focusSubscribers.delete(callback)) return;
+    if (focusSubscribers.size === 0) {
+      document.removeEventListener("focusin", handleFocusIn);
+    }
+  };
+}
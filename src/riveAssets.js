@@ -0,0 +1,59 @@
+// riveAssets.js
+// Which Rive file and state machine Astro shows, and a cache of downloaded
+// files so swapping between character variants (seasonal skins, brand
+// variants - see RIVE_VARIANTS in astroConfig.js) doesn't wait on the network:
+//
+//   astro.preloadVariants();        // fetch every variant in the background
+//   astro.setVariant("classic");    // instant once preloaded
+//   <Astro variant="classic" />     // or src="..." stateMachine="..."
+
+const buffers = new Map(); // src -> ArrayBuffer of a downloaded file
+const pending = new Map(); // src -> Promise<ArrayBuffer> while downloading
+
+// Download a Rive file once; later calls share the same buffer
+export function preloadRiveFile(src) {
+  if (buffers.has(src)) return Promise.resolve(buffers.get(src));
+  if (!pending.has(src)) {
+    const request = fetch(src)
+      .then((res) => {
+        if (!res.ok) throw new Error(`[Astro] Rive file "${src}" failed to load (HTTP ${res.status})`);
+        return res.arrayBuffer();
+      })
+      .then((buffer) => {
+        buffers.set(src, buffer);
+        return buffer;
+      })
+      .finally(() => pending.delete(src));
+    pending.set(src, request);
+  }
+  return pending.get(src);
+}
+
+// The downloaded file, or null when it isn't cached (yet)
+export function getPreloadedRiveFile(src) {
+  return buffers.get(src) ?? null;
+}
+
+// Drop one cached file, or every one
+export function forgetRiveFile(src) {
+  if (src === undefined) buffers.clear();
+  else buffers.delete(src);
+}
+
+// A config.variants name or { src, stateMachine } as { src, stateMachine,
+// variant }; missing parts come from config.riveFile / stateMachineName.
+// Returns null for unknown variant names.
+export function resolveRiveAsset(asset, config) {
+  if (typeof asset === "string") {
+    const variant = config.variants[asset];
+    if (!variant) return null;
+    return { src: variant.src, stateMachine: variant.stateMachine ?? config.stateMachineName, variant: asset };
+  }
+  return {
+    src: asset?.src || config.riveFile,
+    stateMachine: asset?.stateMachine || config.stateMachineName,
+    variant: null,
+  };
+}
+
+export const isSameRiveAsset = (a, b) => a?.src === b?.src && a?.stateMachine === b?.stateMachine;
@@ -0,0 +1,101 @@
+// riveInputs.js
+// Binding layer between Astro and the state machine's inputs. When Rive
+// loads, every input the file exposes is listed and matched by name against
+// the inputs Astro expects (RIVE_STATES / RIVE_INPUTS, typed by
+// RIVE_INPUT_TYPES). Missing inputs and inputs of the wrong type are
+// reported with one diagnostic instead of Astro silently firing nothing:
+//
+//   astro.getRiveInputs();      // [{ name, type, value, key }]
+//   astro.getRiveDiagnostics(); // { ok, bound, missing, mistyped, unused }
+
+import { RIVE_INPUTS, RIVE_INPUT_TYPES, RIVE_STATES } from "./astroConfig";
+
+// Every input Astro uses: { key: { name, type } }
+export const EXPECTED_RIVE_INPUTS = Object.fromEntries(
+  Object.entries({ ...RIVE_STATES, ...RIVE_INPUTS }).map(([key, name]) => [
+    key,
+    { name, type: RIVE_INPUT_TYPES[key] },
+  ])
+);
+
+// The runtimes' StateMachineInputType values
+const RUNTIME_TYPES = { 56: "number", 58: "trigger", 59: "boolean" };
+
+// "trigger", "boolean" or "number"
+export function riveInputType(input) {
+  if (RUNTIME_TYPES[input?.type]) return RUNTIME_TYPES[input.type];
+  const value = input?.value;
+  if (typeof value === "boolean") return "boolean";
+  return typeof value === "number" ? "number" : "trigger";
+}
+
+// Plain descriptions of runtime inputs; `key` is the EXPECTED_RIVE_INPUTS
+// key an input is bound to (null for inputs Astro doesn't use)
+export function describeRiveInputs(available, inputs = {}) {
+  const keys = new Map(Object.entries(inputs).filter(([, input]) => input).map(([key, input]) => [input, key]));
+  return available.map((input) => {
+    const type = riveInputType(input);
+    return {
+      name: input.name,
+      type,
+      value: type === "trigger" ? null : input.value,
+      key: keys.get(input) ?? null,
+    };
+  });
+}
+
+// Match `available` runtime inputs against `expected` ({ key: { name, type } }).
+// Returns { inputs: { key: input | null }, report }; inputs of the wrong type
+// stay unbound so Astro never fires a boolean or sets a trigger.
+export function bindRiveInputs(available, expected = EXPECTED_RIVE_INPUTS) {
+  const unused = new Map(available.map((input) => [input.name, input]));
+  const inputs = {};
+  const report = { ok: true, bound: 0, missing: [], mistyped: [], unused: [] };
+
+  Object.entries(expected).forEach(([key, { name, type }]) => {
+    const input = unused.get(name);
+    inputs[key] = null;
+    if (!input) {
+      report.missing.push({ key, name, type });
+      return;
+    }
+    unused.delete(name);
+    const actual = riveInputType(input);
+    if (actual !== type) {
+      report.mistyped.push({ key, name, type, actual });
+      return;
+    }
+    inputs[key] = input;
+    report.bound++;
+  });
+
+  report.unused = [...unused.values()].map((input) => ({ name: input.name, type: riveInputType(input) }));
+  report.ok = report.missing.length === 0 && report.mistyped.length === 0;
+  return { inputs, report };
+}
+
+// Designers tend to rename "Idea_Spark" to "Idea Spark" or "ideaSpark"
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Readable multi-line summary of a report, with likely renames for missing
+// inputs. options.stateMachine / options.stateMachines name what was loaded.
+export function formatRiveDiagnostics(report, { stateMachine, stateMachines = [] } = {}) {
+  const lines = [`[Astro] Rive inputs of "${stateMachine}" don't match what Astro expects:`];
+  report.missing.forEach(({ key, name, type }) => {
+    const renamed = report.unused.find((input) => normalizeName(input.name) === normalizeName(name));
+    const hint = renamed ? ` - renamed to "${renamed.name}"?` : "";
+    lines.push(`  missing   ${key}: no ${type} input named "${name}"${hint}`);
+  });
+  report.mistyped.forEach(({ key, name, type, actual }) => {
+    lines.push(`  mistyped  ${key}: "${name}" is a ${actual}, expected a ${type}`);
+  });
+  if (report.unused.length) {
+    lines.push(`  unused    ${report.unused.map(({ name, type }) => `"${name}" (${type})`).join(", ")}`);
+  }
+  if (!report.bound && !report.mistyped.length) {
+    // Most likely the wrong state machine name
+    lines.push(`  No expected inputs found; state machines in the file: ${stateMachines.join(", ") || "none"}`);
+  }
+  lines.push("  Update RIVE_STATES / RIVE_INPUTS in astroConfig.js or the Rive file.");
+  return lines.join("\n");
+}
@@ -0,0 +1,82 @@
+// riveRenderers.js
+// Which Rive runtime draws Astro. WebGL2 is the only one with vector
+// feathering (the glow around the eyes), so it comes first; machines without
+// it fall back to WebGL1, then Canvas 2D, then an SVG/CSS placeholder that
+// needs no Rive runtime at all (see placeholderRive.js):
+//
+//   <Astro config={{ renderer: "canvas" }} />  // start further down the chain
+//   astro.getRenderer();                       // "webgl2", "webgl", "canvas" or "placeholder"
+
+// Fallback chain, best first
+export const RIVE_RENDERERS = ["webgl2", "webgl", "canvas", "placeholder"];
+
+// Canvas context each runtime draws with
+const CONTEXTS = { webgl2: "webgl2", webgl: "webgl", canvas: "2d" };
+
+// The React packages re-export their runtime (Rive, Layout, ...), so hosts
+// without React use the same modules. Loaded on demand so only the runtime
+// in use is downloaded.
+const RUNTIMES = {
+  webgl2: () => import("@rive-app/react-webgl2"),
+  webgl: () => import("@rive-app/react-webgl"),
+  canvas: () => import("@rive-app/react-canvas"),
+};
+
+// ========================================
+// ========== SUPPORT DETECTION ==========
+// ========================================
+
+const supported = new Map(); // renderer -> boolean, probed once
+
+function probeContext(type) {
+  try {
+    const context = document.createElement("canvas").getContext(type);
+    // Browsers cap live WebGL contexts; give the probe's back right away
+    context?.getExtension?.("WEBGL_lose_context")?.loseContext();
+    return !!context;
+  } catch {
+    return false;
+  }
+}
+
+export function supportsRenderer(renderer) {
+  if (renderer === "placeholder") return true;
+  if (!CONTEXTS[renderer] || typeof document === "undefined") return false;
+  if (!supported.has(renderer)) supported.set(renderer, probeContext(CONTEXTS[renderer]));
+  return supported.get(renderer);
+}
+
+// The first supported renderer from `preferred` down the chain ("auto"
+// starts at the top)
+export function resolveRenderer(preferred = "auto") {
+  const start = preferred === "auto" ? 0 : Math.max(0, RIVE_RENDERERS.indexOf(preferred));
+  return RIVE_RENDERERS.slice(start).find(supportsRenderer);
+}
+
+// The supported renderer below `renderer` in the chain, null after the placeholder
+export function nextRenderer(renderer) {
+  const below = RIVE_RENDERERS[RIVE_RENDERERS.indexOf(renderer) + 1];
+  return below ? resolveRenderer(below) : null;
+}
+
+// ========================================
+// ========== RUNTIME LOADING ============
+// ========================================
+
+// Resolves with { renderer, runtime } for the best supported renderer from
+// `preferred` on; a runtime whose module fails to load (e.g. a blocked chunk)
+// falls back to the next one. runtime is null for "placeholder". Failures
+// after that - wasm, file loading - surface as layer load errors, where
+// Astro.js restarts the chain below the failed renderer.
+export async function loadRiveRuntime(preferred = "auto") {
+  let renderer = resolveRenderer(preferred);
+  while (renderer !== "placeholder") {
+    try {
+      return { renderer, runtime: await RUNTIMES[renderer]() };
+    } catch (err) {
+      console.warn(`[Astro] ${renderer} Rive runtime failed to load, falling back:`, err);
+      renderer = nextRenderer(renderer);
+    }
+  }
+  return { renderer, runtime: null };
+}
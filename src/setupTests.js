@@ -0,0 +1,37 @@
+// setupTests.js
+// Loaded by react-scripts before every test file. jsdom lacks what Astro
+// draws with, so the suites run against fakes: the Rive runtimes are
+// replaced through src/__mocks__/@rive-app, Web Animations are faked here.
+
+import { astroClock } from "./clock";
+import { installFakeAnimations, resetFakeAnimations } from "./testing/fakeAnimations";
+import { resetFakeRive } from "./testing/fakeRive";
+
+// Let act() flush React updates outside the testing library
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+installFakeAnimations();
+
+// WebGL2 probes succeed so Astro picks the (fake) WebGL2 runtime; no 2D
+// canvas, so trails use the DOM renderer (see riveRenderers.js, trailRenderer.js)
+HTMLCanvasElement.prototype.getContext = function getContext(type) {
+  return type === "webgl2" || type === "webgl" ? { getExtension: () => null } : null;
+};
+
+// jsdom doesn't lay out or scroll
+Element.prototype.scrollTo = function scrollTo() {};
+
+// Astro logs every trigger and state; keep test output to failures
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetFakeRive();
+  resetFakeAnimations();
+  // The shared clock outlives each test; drop its timers and restore real speed
+  astroClock.reset();
+  astroClock.resume();
+  astroClock.setTimeScale(1);
+  document.body.innerHTML = "";
+});
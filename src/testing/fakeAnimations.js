@@ -0,0 +1,128 @@
+// fakeAnimations.js
+// Web Animations for jsdom, which has no element.animate(). Animations run
+// on timers - so jest.useFakeTimers() drives them - and are recorded for
+// assertions:
+//
+//   installFakeAnimations();
+//   fakeAnimations.filter((a) => a.element === wrapper); // keyframes, options, playState
+//
+// playbackRate, pause() / play() and setting currentTime work as in
+// browsers, so clocks (see clock.js) can scale, pause and step them.
+
+// Every animation started since the last reset, oldest first
+export const fakeAnimations = [];
+
+export function resetFakeAnimations() {
+  fakeAnimations.forEach((animation) => animation.stopTimer());
+  fakeAnimations.length = 0;
+}
+
+export class FakeAnimation {
+  constructor(element, keyframes, options = {}) {
+    const timing = typeof options === "number" ? { duration: options } : options;
+    this.element = element;
+    this.keyframes = keyframes;
+    this.options = timing;
+    this.duration = timing.duration ?? 0;
+    this.delay = timing.delay ?? 0;
+    this.endTime = this.delay + this.duration;
+    this.playState = "running";
+    this.onfinish = null;
+    this.oncancel = null;
+    this.rate = 1;
+    this.startedAt = Date.now(); // Date.now() at currentTime 0 while running
+    this.heldTime = 0;           // currentTime while paused
+    this.finished = new Promise((resolve, reject) => {
+      this.resolveFinished = resolve;
+      this.rejectFinished = reject;
+    });
+    // Browsers don't report cancelled animations nobody waited on
+    this.finished.catch(() => {});
+    this.startTimer();
+
+    // Progress the trail reads when a move is interrupted; endTime for clock.step()
+    this.effect = {
+      getComputedTiming: () => {
+        const elapsed = this.currentTime - this.delay;
+        return {
+          progress: this.duration ? Math.min(1, Math.max(0, elapsed / this.duration)) : 1,
+          endTime: this.endTime,
+        };
+      },
+    };
+  }
+
+  get currentTime() {
+    if (this.playState === "finished") return this.endTime;
+    if (this.playState === "running") return (Date.now() - this.startedAt) * this.rate;
+    return this.heldTime;
+  }
+
+  set currentTime(time) {
+    this.heldTime = time;
+    this.startedAt = Date.now() - time / this.rate;
+    if (this.playState === "running") this.startTimer();
+  }
+
+  get playbackRate() {
+    return this.rate;
+  }
+
+  set playbackRate(rate) {
+    const time = this.currentTime;
+    this.rate = rate;
+    this.currentTime = time;
+  }
+
+  startTimer() {
+    this.stopTimer();
+    this.timer = setTimeout(() => this.finish(), Math.max(0, (this.endTime - this.currentTime) / this.rate));
+  }
+
+  stopTimer() {
+    clearTimeout(this.timer);
+  }
+
+  finish() {
+    if (this.playState !== "running" && this.playState !== "paused") return;
+    this.stopTimer();
+    this.playState = "finished";
+    this.resolveFinished(this);
+    this.onfinish?.({ target: this });
+  }
+
+  cancel() {
+    if (this.playState === "idle") return;
+    this.stopTimer();
+    this.playState = "idle";
+    this.rejectFinished(new DOMException("The animation was cancelled", "AbortError"));
+    this.oncancel?.({ target: this });
+  }
+
+  pause() {
+    if (this.playState !== "running") return;
+    this.heldTime = this.currentTime;
+    this.stopTimer();
+    this.playState = "paused";
+  }
+
+  play() {
+    if (this.playState !== "paused") return;
+    this.playState = "running";
+    this.currentTime = this.heldTime;
+  }
+
+  commitStyles() {}
+}
+
+// Add element.animate() / getAnimations() to jsdom
+export function installFakeAnimations() {
+  Element.prototype.animate = function animate(keyframes, options) {
+    const animation = new FakeAnimation(this, keyframes, options);
+    fakeAnimations.push(animation);
+    return animation;
+  };
+  Element.prototype.getAnimations = function getAnimations() {
+    return fakeAnimations.filter((a) => a.element === this && a.playState === "running");
+  };
+}
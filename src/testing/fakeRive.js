@@ -0,0 +1,140 @@
+// fakeRive.js
+// Stand-in for the @rive-app runtimes in Jest (see src/__mocks__/@rive-app).
+// jsdom has no WebGL or wasm, so the fake loads instantly and records what
+// Astro does with the state machine instead of drawing it:
+//
+//   const rive = lastFakeRive();
+//   rive.fired;                // ["Shrink", "Idle"] - trigger names in order
+//   rive.input("xAxis").value; // current number / boolean values
+//   rive.valueLog;             // [{ name, value }] every value set, in order
+//
+// Every instance reports a state change (the trigger's name) after a
+// trigger fires, so promises waiting on Rive states settle.
+
+import React, { useEffect, useMemo, useState } from "react";
+import { EXPECTED_RIVE_INPUTS } from "../riveInputs";
+
+// The runtimes' StateMachineInputType
+export const StateMachineInputType = { Number: 56, Trigger: 58, Boolean: 59 };
+
+const TYPE_CODES = { number: 56, trigger: 58, boolean: 59 };
+
+// Every input Astro expects, as the real Rive file has them
+const DEFAULT_INPUTS = Object.values(EXPECTED_RIVE_INPUTS).map(({ name, type }) => ({
+  name,
+  type,
+  value: type === "number" ? 0 : type === "boolean" ? false : undefined,
+}));
+
+const DEFAULT_SETTINGS = {
+  inputs: DEFAULT_INPUTS, // [{ name, type, value }] the loaded state machine exposes
+  loadError: null,        // Error passed to onLoadError instead of loading
+};
+
+let settings = DEFAULT_SETTINGS;
+
+// Every instance created since the last reset, oldest first
+export const fakeRiveInstances = [];
+
+// Change what the next instances load: a renamed input, a broken file...
+export function configureFakeRive(overrides) {
+  settings = { ...settings, ...overrides };
+}
+
+export function resetFakeRive() {
+  settings = DEFAULT_SETTINGS;
+  fakeRiveInstances.length = 0;
+}
+
+export const lastFakeRive = () => fakeRiveInstances[fakeRiveInstances.length - 1] ?? null;
+
+// Promise callbacks rather than timers, so fake timers don't hold loads back
+const nextTick = (callback) => Promise.resolve().then(callback);
+
+function createInput(rive, { name, type, value }) {
+  const input = { name, type: TYPE_CODES[type] };
+  if (type === "trigger") {
+    input.fire = () => {
+      rive.fired.push(name);
+      nextTick(() => !rive.cleanedUp && rive.params.onStateChange?.({ data: [name] }));
+    };
+    return input;
+  }
+  let current = value;
+  Object.defineProperty(input, "value", {
+    get: () => current,
+    set: (next) => {
+      current = next;
+      rive.valueLog.push({ name, value: next });
+    },
+    enumerable: true,
+  });
+  return input;
+}
+
+export class Rive {
+  constructor(params = {}) {
+    this.params = params;
+    this.src = params.src ?? null;
+    this.buffer = params.buffer ?? null;
+    this.stateMachineNames = [].concat(params.stateMachines ?? []);
+    this.fired = [];
+    this.valueLog = [];
+    this.cleanedUp = false;
+    this.loaded = false;
+    this.inputs = settings.inputs.map((spec) => createInput(this, spec));
+    fakeRiveInstances.push(this);
+
+    const { loadError } = settings;
+    nextTick(() => {
+      if (this.cleanedUp) return;
+      if (loadError) {
+        params.onLoadError?.(loadError);
+        return;
+      }
+      this.loaded = true;
+      params.onLoad?.();
+    });
+  }
+
+  stateMachineInputs(name) {
+    return this.stateMachineNames.includes(name) ? this.inputs : undefined;
+  }
+
+  input(name) {
+    return this.inputs.find((input) => input.name === name) ?? null;
+  }
+
+  resizeDrawingSurfaceToCanvas() {}
+
+  cleanup() {
+    this.cleanedUp = true;
+  }
+}
+
+// useRive as in @rive-app/react-*: `rive` is null until the file loads
+export function useRive(params = {}) {
+  const [loaded, setLoaded] = useState(false);
+  // The instance is created once, like the real hook
+  const [instance] = useState(() => new Rive({ ...params, onLoad: () => setLoaded(true) }));
+  useEffect(() => () => instance.cleanup(), [instance]);
+  const rive = loaded ? instance : null;
+
+  const RiveComponent = useMemo(
+    () =>
+      function FakeRiveComponent(props) {
+        return <canvas data-fake-rive="" {...props} />;
+      },
+    []
+  );
+
+  return { rive, RiveComponent, canvas: null, container: null, setCanvasRef: () => {}, setContainerRef: () => {} };
+}
+
+export function useStateMachineInput(rive, stateMachineName, inputName, initialValue) {
+  const input = rive?.stateMachineInputs(stateMachineName)?.find((i) => i.name === inputName) ?? null;
+  useEffect(() => {
+    if (input && initialValue !== undefined) input.value = initialValue;
+  }, [input, initialValue]);
+  return input;
+}
@@ -0,0 +1,53 @@
+// helpers.js
+// Rendering and timer helpers shared by the test suites (react-dom + act,
+// no testing library).
+
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+
+// Mount `ui` into a fresh container; rerender / unmount go through act too
+export function render(ui) {
+  const container = document.createElement("div");
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  act(() => root.render(ui));
+  return {
+    container,
+    rerender: (next) => act(() => root.render(next)),
+    unmount: () => {
+      act(() => root.unmount());
+      container.remove();
+    },
+  };
+}
+
+// Let pending promise callbacks run (fake timers don't touch promises)
+export async function flushPromises(rounds = 20) {
+  for (let i = 0; i < rounds; i++) await Promise.resolve();
+}
+
+// Advance fake timers in frame-sized steps, letting promise chains between
+// timers (await sleep(...), await animation.finished) catch up after each
+export async function advanceTime(ms, step = 16) {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    await act(async () => {
+      jest.advanceTimersByTime(Math.min(step, ms - elapsed));
+      await flushPromises();
+    });
+  }
+}
+
+// Set a controlled input's value the way typing does, so React sees it
+export function typeInto(field, value) {
+  const prototype = Object.getPrototypeOf(field);
+  Object.getOwnPropertyDescriptor(prototype, "value").set.call(field, value);
+  act(() => {
+    field.dispatchEvent(new Event("input", { bubbles: true }));
+  });
+}
+
+export function click(element) {
+  act(() => {
+    element.dispatchEvent(new MouseEvent("click", { bubbles: true }));
+  });
+}
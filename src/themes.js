@@ -0,0 +1,185 @@
+// themes.js
+// Colors and themes for Astro's body, lead dot and trail. A theme is any
+// color (hex, rgb(), hsl(), a CSS color name or { r, g, b }) or an object:
+//
+//   {
+//     body: "#7DD280",           // Rive body color (Red/Green/Blue inputs)
+//     trail: "hsl(120 50% 60%)", // lead dot and trail; defaults to body
+//     trailEnd: "#ffffff",       // color the trail fades into; defaults to trail
+//     leadStart: "#000000",      // color the lead dot fades in from
+//   }
+//
+//   registerTheme("brand", { body: "#ff5a5f", trailEnd: "#ffb400" });
+//   astro.changeAstroColor("brand");
+//   astro.changeAstroColor("hsl(280 80% 60%)", { duration: 800 });
+
+// ========================================
+// ========== COLOR PARSING ==============
+// ========================================
+
+const clampByte = (n) => Math.max(0, Math.min(255, Math.round(n)));
+const clampUnit = (n) => Math.max(0, Math.min(1, n));
+
+// "50%" -> 0.5 of `scale`, "128" -> 128
+const readChannel = (value, scale) =>
+  value.endsWith("%") ? (parseFloat(value) / 100) * scale : parseFloat(value);
+
+const readAlpha = (value) => (value === undefined ? 1 : clampUnit(readChannel(value, 1)));
+
+function hslToRgb(h, s, l) {
+  const hue = (((h % 360) + 360) % 360) / 360;
+  if (s === 0) return { r: l * 255, g: l * 255, b: l * 255 };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return { r: channel(hue + 1 / 3) * 255, g: channel(hue) * 255, b: channel(hue - 1 / 3) * 255 };
+}
+
+// Hex, rgb()/rgba() and hsl()/hsla() (comma or space syntax) or { r, g, b, a? }.
+// Returns { r, g, b, a } or null.
+export function parseColor(value) {
+  if (value && typeof value === "object") {
+    const { r, g, b, a = 1 } = value;
+    return [r, g, b, a].every((n) => typeof n === "number" && Number.isFinite(n))
+      ? { r: clampByte(r), g: clampByte(g), b: clampByte(b), a: clampUnit(a) }
+      : null;
+  }
+  if (typeof value !== "string") return null;
+  const text = value.trim().toLowerCase();
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = [...digits].map((d) => d + d).join("");
+    const n = (i) => parseInt(digits.slice(i, i + 2), 16);
+    return { r: n(0), g: n(2), b: n(4), a: digits.length === 8 ? n(6) / 255 : 1 };
+  }
+
+  const fn = text.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (!fn) return null;
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  if (fn[1].startsWith("rgb")) {
+    const [r, g, b] = parts.slice(0, 3).map((p) => readChannel(p, 255));
+    const a = readAlpha(parts[3]);
+    return [r, g, b, a].every(Number.isFinite) ? { r: clampByte(r), g: clampByte(g), b: clampByte(b), a } : null;
+  }
+
+  const h = parseFloat(parts[0]);
+  const s = clampUnit(parseFloat(parts[1]) / 100);
+  const l = clampUnit(parseFloat(parts[2]) / 100);
+  const a = readAlpha(parts[3]);
+  if (![h, s, l, a].every(Number.isFinite)) return null;
+  const { r, g, b } = hslToRgb(h, s, l);
+  return { r: clampByte(r), g: clampByte(g), b: clampByte(b), a };
+}
+
+// Like parseColor, plus anything the browser understands (names such as
+// "tomato", color-mix()...) resolved through a canvas
+let probe = null;
+export function resolveColor(value) {
+  const parsed = parseColor(value);
+  if (parsed || typeof value !== "string" || typeof document === "undefined") return parsed;
+  try {
+    probe = probe || document.createElement("canvas").getContext("2d");
+    if (!probe) return null;
+    probe.fillStyle = "#000001"; // Sentinel: invalid values leave it unchanged
+    probe.fillStyle = value;
+    return probe.fillStyle === "#000001" ? null : parseColor(probe.fillStyle);
+  } catch {
+    return null;
+  }
+}
+
+export const toCssColor = ({ r, g, b, a = 1 }) =>
+  a === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+
+export const mixColors = (from, to, t) => ({
+  r: clampByte(from.r + (to.r - from.r) * t),
+  g: clampByte(from.g + (to.g - from.g) * t),
+  b: clampByte(from.b + (to.b - from.b) * t),
+  a: from.a + ((to.a ?? 1) - from.a) * t,
+});
+
+// ========================================
+// ========== THEMES =====================
+// ========================================
+
+const THEME_KEYS = ["body", "trail", "trailEnd", "leadStart"];
+
+const isThemeObject = (value) =>
+  value !== null && typeof value === "object" && Object.keys(value).some((key) => THEME_KEYS.includes(key));
+
+// Error message for an invalid theme, or null
+export function checkTheme(value) {
+  if (isThemeObject(value)) {
+    const unknown = Object.keys(value).find((key) => !THEME_KEYS.includes(key));
+    if (unknown) return `unknown theme key "${unknown}" (use ${THEME_KEYS.join(", ")})`;
+    if (!value.body) return "needs a body color";
+    const bad = THEME_KEYS.find((key) => value[key] != null && !resolveColor(value[key]));
+    return bad ? `${bad} is not a color` : null;
+  }
+  return resolveColor(value) ? null : "must be a color (hex, rgb(), hsl(), { r, g, b }) or a theme";
+}
+
+// Resolve a color or theme object to { body, trail, trailEnd, leadStart }
+// colors ({ r, g, b, a }); missing parts follow the body. Returns null when invalid.
+export function resolveTheme(value, defaults = {}) {
+  if (checkTheme(value)) return null;
+  const theme = isThemeObject(value) ? value : { body: value };
+  const body = resolveColor(theme.body);
+  const trail = theme.trail ? resolveColor(theme.trail) : body;
+  return {
+    body,
+    trail,
+    trailEnd: resolveColor(theme.trailEnd ?? defaults.trailEnd) || trail,
+    leadStart: resolveColor(theme.leadStart ?? defaults.leadStart) || { r: 0, g: 0, b: 0, a: 1 },
+  };
+}
+
+export const mixThemes = (from, to, t) =>
+  Object.fromEntries(THEME_KEYS.map((key) => [key, mixColors(from[key], to[key], t)]));
+
+// App-wide named themes; an Astro's config.colors entries take precedence
+const registry = {};
+
+export function registerTheme(name, theme) {
+  const problem = checkTheme(theme);
+  if (problem) throw new TypeError(`[Astro] Theme "${name}" ${problem}`);
+  registry[name] = theme;
+}
+
+export function getRegisteredTheme(name) {
+  return registry[name] ?? null;
+}
+
+export function getThemeNames() {
+  return Object.keys(registry);
+}
+
+// ========================================
+// ========== COLOR SCHEME ===============
+// ========================================
+
+const DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+
+export function prefersDarkScheme() {
+  return typeof window !== "undefined" && !!window.matchMedia?.(DARK_SCHEME_QUERY).matches;
+}
+
+// Call callback(dark) when the system color scheme changes; returns an unsubscribe function
+export function subscribeColorScheme(callback) {
+  if (typeof window === "undefined" || !window.matchMedia) return () => {};
+  const query = window.matchMedia(DARK_SCHEME_QUERY);
+  const handleChange = (e) => callback(e.matches);
+  query.addEventListener("change", handleChange);
+  return () => query.removeEventListener("change", handleChange);
+}
@@ -0,0 +1,411 @@
+// trailRenderer.js
+// Draws the lead dot and trail while Astro travels between positions.
+// The canvas renderer paints particle-style dots on one full-viewport canvas
+// from a sampled path (no CSS motion paths needed); the DOM renderer animates
+// TRAIL_COUNT divs along offset-path and stays as the fallback.
+//
+// Both renderers share one interface:
+//   trail.show(start)               lead dot appears at the start point
+//   trail.travel(pathD, options)    promise, resolves when the lead dot arrives
+//   trail.interrupt()               stop mid-travel where the lead dot is; returns
+//                                   { x, y, heading } (null when not travelling) and
+//                                   the pending travel() resolves
+//   trail.hide()                    dots disappear (the canvas trail fades out)
+//   trail.destroy()
+//
+// Renderers read the config through getConfig() and the current colors
+// through getColors() -> { lead, tail, leadStart } so theme changes apply live.
+// Their frames and Web Animations run on `clock` (see clock.js), so the
+// trail slows down and pauses with the rest of Astro.
+
+import { astroClock } from "./clock";
+import { mixColors, resolveColor, toCssColor } from "./themes";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Points sampled along a travel path for the canvas renderer
+const PATH_SAMPLES = 120;
+
+// ========================================
+// ========== SUPPORT DETECTION ==========
+// ========================================
+
+let canvasSupported = null;
+
+function supportsCanvas() {
+  if (canvasSupported === null) {
+    try {
+      canvasSupported = !!document.createElement("canvas").getContext("2d");
+    } catch {
+      canvasSupported = false;
+    }
+  }
+  return canvasSupported;
+}
+
+// The renderer to use for a TRAIL_RENDERER setting: "canvas" falls back to
+// "dom" where 2D canvas is unavailable
+export function resolveTrailRenderer(preferred = "canvas") {
+  return preferred === "canvas" && supportsCanvas() ? "canvas" : "dom";
+}
+
+// ========================================
+// ========== PATH SAMPLING ==============
+// ========================================
+
+// Sample evenly spaced points along an SVG path string. Falls back to a
+// straight line from the first to the last coordinate where SVG geometry
+// is unavailable.
+export function samplePath(d, samples = PATH_SAMPLES) {
+  const path = typeof document !== "undefined" ? document.createElementNS(SVG_NS, "path") : null;
+  if (path && typeof path.getTotalLength === "function") {
+    path.setAttribute("d", d);
+    const length = path.getTotalLength();
+    return Array.from({ length: samples + 1 }, (_, i) => {
+      const point = path.getPointAtLength((length * i) / samples);
+      return { x: point.x, y: point.y };
+    });
+  }
+
+  const numbers = d.match(/-?\d*\.?\d+(e-?\d+)?/gi).map(Number);
+  const start = { x: numbers[0], y: numbers[1] };
+  const end = { x: numbers[numbers.length - 2], y: numbers[numbers.length - 1] };
+  return Array.from({ length: samples + 1 }, (_, i) => ({
+    x: start.x + ((end.x - start.x) * i) / samples,
+    y: start.y + ((end.y - start.y) * i) / samples,
+  }));
+}
+
+// Point at `progress` (0-1 of the path length) on sampled points
+export function pointAt(points, progress) {
+  const position = Math.max(0, Math.min(1, progress)) * (points.length - 1);
+  const i = Math.floor(position);
+  const a = points[i];
+  const b = points[Math.min(i + 1, points.length - 1)];
+  const t = position - i;
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+// Unit vector of the direction of travel at `progress`, or null when the
+// path doesn't move there
+export function headingAt(points, progress) {
+  const step = 1 / (points.length - 1);
+  const a = pointAt(points, progress - step);
+  const b = pointAt(points, progress + step);
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  return length ? { x: (b.x - a.x) / length, y: (b.y - a.y) / length } : null;
+}
+
+// ========================================
+// ========== ANIMATION HELPERS ==========
+// ========================================
+
+// Eased progress (0-1) of a Web Animation; 0 until it starts playing
+const progressOf = (animation) => animation.effect?.getComputedTiming().progress ?? 0;
+
+// Resolves when `animation` finishes or is cancelled (see interrupt)
+const settled = (animation) =>
+  animation.finished.catch((err) => {
+    if (err?.name !== "AbortError") throw err;
+  });
+
+// ========================================
+// ========== CANVAS RENDERER ============
+// ========================================
+
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+export function createCanvasTrail(canvas, getConfig, getColors, clock = astroClock) {
+  const ctx = canvas.getContext("2d");
+  let frameId = null;
+  let points = null;       // Sampled path of the current travel
+  let driver = null;       // Web Animation whose eased progress moves the head
+  let head = null;         // { x, y } while the lead dot is visible
+  let shownAt = 0;         // When the lead dot appeared (for the black-to-color fade)
+  let hiddenAt = null;     // When the trail started fading out
+  let history = [];        // Recent head positions: { x, y, t }
+
+  // Match the canvas to the viewport and device pixel ratio
+  const fitToViewport = () => {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(window.innerWidth * ratio);
+    const height = Math.round(window.innerHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  };
+
+  // Head position `age` milliseconds ago, interpolated from the history
+  const positionAgo = (now, age) => {
+    const t = now - age;
+    for (let i = history.length - 1; i > 0; i--) {
+      const newer = history[i];
+      const older = history[i - 1];
+      if (older.t <= t) {
+        const span = newer.t - older.t || 1;
+        const k = Math.max(0, Math.min(1, (t - older.t) / span));
+        return { x: older.x + (newer.x - older.x) * k, y: older.y + (newer.y - older.y) * k };
+      }
+    }
+    return history[0];
+  };
+
+  const draw = (now) => {
+    const animation = getConfig().animation;
+    const { timing } = getConfig();
+
+    if (driver) head = pointAt(points, progressOf(driver));
+    if (head) history.push({ ...head, t: now });
+    history = history.filter((p) => now - p.t <= animation.TRAIL_LENGTH + 50);
+
+    fitToViewport();
+    ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+    const fade = hiddenAt === null ? 1 : 1 - (now - hiddenAt) / Math.max(1, animation.TRAIL_FADE_DURATION);
+    if (fade <= 0 || history.length === 0) {
+      stop();
+      return;
+    }
+
+    const colors = getColors();
+    const base = resolveColor(colors.lead) || BLACK;
+    const tail = resolveColor(colors.tail) || base;
+    const count = animation.TRAIL_COUNT;
+    const radius = animation.DOT_SIZE / 2;
+
+    ctx.shadowBlur = animation.TRAIL_GLOW;
+
+    // Trail particles, oldest first so newer ones paint on top
+    for (let i = count; i >= 1; i--) {
+      const ratio = i / count;
+      const point = positionAgo(now, ratio * animation.TRAIL_LENGTH);
+      const scale = animation.TRAIL_MIN_SCALE + (1 - animation.TRAIL_MIN_SCALE) * (1 - ratio);
+      const opacity = animation.TRAIL_FADE + (1 - animation.TRAIL_FADE) * (1 - ratio);
+      const color = mixColors(base, tail, ratio);
+      color.a *= opacity * fade;
+      ctx.fillStyle = toCssColor(color);
+      ctx.shadowColor = ctx.fillStyle;
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, radius * scale, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Lead dot fades in from its start color as it appears
+    if (head && hiddenAt === null) {
+      const t = Math.min(1, (now - shownAt) / Math.max(1, timing.DOT_FADE_DURATION));
+      const eased = 1 - (1 - t) * (1 - t);
+      ctx.fillStyle = toCssColor(mixColors(resolveColor(colors.leadStart) || BLACK, base, eased));
+      ctx.shadowColor = ctx.fillStyle;
+      ctx.beginPath();
+      ctx.arc(head.x, head.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    frameId = clock.requestFrame(draw);
+  };
+
+  const start = () => {
+    if (frameId === null) frameId = clock.requestFrame(draw);
+  };
+
+  const stop = () => {
+    if (frameId !== null) clock.cancelFrame(frameId);
+    frameId = null;
+    history = [];
+    head = null;
+    hiddenAt = null;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  };
+
+  return {
+    kind: "canvas",
+
+    show(point) {
+      head = { ...point };
+      history = [];
+      points = null;
+      driver = null;
+      hiddenAt = null;
+      shownAt = clock.now();
+      start();
+    },
+
+    // options: { duration, easing } - any CSS easing works because the eased
+    // progress is read back from a Web Animation
+    async travel(pathD, { duration, easing }) {
+      points = samplePath(pathD);
+      const current = clock.track(canvas.animate([], { duration, easing, fill: "forwards" }));
+      driver = current;
+      start();
+      await settled(current);
+      if (driver === current) {
+        head = pointAt(points, 1);
+        driver = null;
+      }
+    },
+
+    // The head stays where it stopped; the history keeps the trail smooth
+    // into whatever travel follows
+    interrupt() {
+      if (!driver) return null;
+      const progress = progressOf(driver);
+      const point = pointAt(points, progress);
+      const heading = headingAt(points, progress);
+      driver.cancel();
+      driver = null;
+      head = point;
+      return { ...point, heading };
+    },
+
+    hide() {
+      if (head === null && history.length === 0) return;
+      head = null;
+      hiddenAt = clock.now();
+    },
+
+    destroy() {
+      driver?.cancel();
+      driver = null;
+      stop();
+    },
+  };
+}
+
+// ========================================
+// ========== DOM RENDERER ===============
+// ========================================
+
+// Motion path helpers with Safari prefix support
+function setMotionPath(el, d) {
+  el.style.offsetPath = `path("${d}")`;
+  el.style.webkitOffsetPath = `path("${d}")`;
+}
+
+function setOffsetDistance(el, v) {
+  el.style.offsetDistance = v;
+  el.style.webkitOffsetDistance = v;
+}
+
+function setOffsetRotate(el, v) {
+  el.style.offsetRotate = v;
+  el.style.webkitOffsetRotate = v;
+}
+
+function setOffsetAnchor(el, v) {
+  el.style.offsetAnchor = v;
+  el.style.webkitOffsetAnchor = v;
+}
+
+// The original trail: a lead dot and TRAIL_COUNT divs animated along offset-path
+export function createDomTrail({ leadDot: lead, trailDots }, getConfig, getColors, clock = astroClock) {
+  const dots = () => trailDots.filter(Boolean);
+  let running = null; // { pathD, animations } of the current travel, lead first
+
+  // Hold a dot still on one point
+  const park = (el, point) => {
+    setMotionPath(el, `M ${point.x},${point.y} L ${point.x},${point.y}`);
+    setOffsetDistance(el, "0%");
+  };
+
+  return {
+    kind: "dom",
+
+    show(point) {
+      const { animation, timing } = getConfig();
+      const colors = getColors();
+      const base = resolveColor(colors.lead);
+      const tail = resolveColor(colors.tail) || base;
+
+      // Park the dots on the start point until the path is known
+      [lead, ...dots()].forEach((el) => park(el, point));
+
+      // Setup lead dot with its start color for the fade effect
+      lead.style.opacity = "1";
+      lead.style.background = colors.leadStart;
+
+      // Setup trail dots with gradient effect
+      dots().forEach((d, i) => {
+        const ratio = (i + 1) / animation.TRAIL_COUNT;
+        const scale = animation.TRAIL_MIN_SCALE + (1 - animation.TRAIL_MIN_SCALE) * (1 - ratio);
+        const opacity = animation.TRAIL_FADE + (1 - animation.TRAIL_FADE) * (1 - ratio);
+        d.style.opacity = String(opacity);
+        d.style.transform = `scale(${scale})`;
+        d.style.background = base ? toCssColor(mixColors(base, tail, ratio)) : colors.lead;
+      });
+
+      // Immediately start the fade from the start color to the lead color
+      clock.track(lead.animate(
+        [
+          { background: colors.leadStart },
+          { background: colors.lead }
+        ],
+        {
+          duration: timing.DOT_FADE_DURATION,
+          easing: "ease-out",
+          fill: "forwards"
+        }
+      ));
+    },
+
+    async travel(pathD, { duration, easing }) {
+      const { animation } = getConfig();
+
+      // Prepare dots for animation
+      const prepDot = (el) => {
+        setMotionPath(el, pathD);
+        setOffsetDistance(el, "0%");
+        setOffsetRotate(el, "0deg");
+        setOffsetAnchor(el, "50% 50%");
+      };
+
+      prepDot(lead);
+      dots().forEach(prepDot);
+
+      // Animate lead dot
+      const leadAnim = clock.track(lead.animate(
+        [{ offsetDistance: "0%" }, { offsetDistance: "100%" }],
+        { duration, easing, fill: "forwards" }
+      ));
+
+      // Animate trail dots with stagger
+      const trailAnims = dots().map((td, i) =>
+        clock.track(td.animate([{ offsetDistance: "0%" }, { offsetDistance: "100%" }], {
+          duration,
+          delay: (i + 1) * animation.TRAIL_STAGGER,
+          easing,
+          fill: "forwards",
+        }))
+      );
+
+      const current = { pathD, animations: [leadAnim, ...trailAnims] };
+      running = current;
+      await settled(leadAnim);
+      if (running === current) running = null;
+    },
+
+    // Every dot gathers on the lead dot's current point
+    interrupt() {
+      if (!running) return null;
+      const { pathD, animations } = running;
+      running = null;
+      const points = samplePath(pathD);
+      const progress = progressOf(animations[0]);
+      const point = pointAt(points, progress);
+      animations.forEach((a) => a.cancel());
+      [lead, ...dots()].forEach((el) => park(el, point));
+      return { ...point, heading: headingAt(points, progress) };
+    },
+
+    hide() {
+      lead.style.opacity = "0";
+      dots().forEach((td) => (td.style.opacity = "0"));
+    },
+
+    destroy() {
+      this.interrupt();
+      this.hide();
+    },
+  };
+}
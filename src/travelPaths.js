@@ -0,0 +1,244 @@
+// travelPaths.js
+// Strategies for the SVG path Astro's trail travels along. Each generator
+// gets (start, end, options) and returns a path string for offset-path:
+//
+//   astro.moveTo(x, y, { path: "arc" });
+//   astro.moveTo(x, y, { path: "spline", waypoints: [{ x: 400, y: 120 }] });
+//   astro.moveTo(x, y, { path: "avoid", obstacles: [".bubble-inner"] });
+//   astro.moveTo(x, y, { path: "continue", heading: { x: 1, y: 0 } });
+//   astro.moveTo(x, y, { path: (start, end) => `M ${start.x},${start.y} L ${end.x},${end.y}` });
+//
+// options always include `animation` (the config's ANIMATION_CONFIG) and
+// `random` (Math.random, or a seeded generator when a seed is set).
+
+// ========================================
+// ========== RANDOMNESS =================
+// ========================================
+
+// Small, fast seeded generator (mulberry32); same seed, same sequence
+export function createSeededRandom(seed) {
+  let state = Math.floor(seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ========================================
+// ========== GEOMETRY HELPERS ===========
+// ========================================
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Smooth curve through every point (Catmull-Rom converted to cubic beziers)
+function splineThrough(points) {
+  const [first] = points;
+  let d = `M ${first.x},${first.y}`;
+  for (let i = 0; i < points.length - 1; i++) {
+    const p0 = points[i - 1] || points[i];
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const p3 = points[i + 2] || p2;
+    const c1x = p1.x + (p2.x - p0.x) / 6;
+    const c1y = p1.y + (p2.y - p0.y) / 6;
+    const c2x = p2.x - (p3.x - p1.x) / 6;
+    const c2y = p2.y - (p3.y - p1.y) / 6;
+    d += ` C ${c1x},${c1y} ${c2x},${c2y} ${p2.x},${p2.y}`;
+  }
+  return d;
+}
+
+// Does the segment a-b pass through the rect's interior? (Liang-Barsky clip)
+function segmentHitsRect(a, b, rect) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+  const edges = [
+    [-dx, a.x - rect.left],
+    [dx, rect.right - a.x],
+    [-dy, a.y - rect.top],
+    [dy, rect.bottom - a.y],
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q <= 0) return false;
+    } else {
+      const t = q / p;
+      if (p < 0) t0 = Math.max(t0, t);
+      else t1 = Math.min(t1, t);
+      if (t0 >= t1) return false;
+    }
+  }
+  return true;
+}
+
+const inflate = (rect, by) => ({
+  left: rect.left - by,
+  top: rect.top - by,
+  right: rect.right + by,
+  bottom: rect.bottom + by,
+});
+
+// Obstacles may be selectors, elements or { left, top, right, bottom } rects
+function resolveObstacleRects(obstacles = []) {
+  return obstacles.flatMap((obstacle) => {
+    if (typeof obstacle === "string") {
+      return [...document.querySelectorAll(obstacle)].map((el) => el.getBoundingClientRect());
+    }
+    if (typeof obstacle?.getBoundingClientRect === "function") {
+      return [obstacle.getBoundingClientRect()];
+    }
+    return obstacle && "left" in obstacle ? [obstacle] : [];
+  });
+}
+
+// Cheapest detour from a to b around one rect: via one corner, or two
+// corners along the same side when a single corner still cuts through
+function detourAround(a, b, rect, corners) {
+  const clear = (route) =>
+    route.every((point, i) => i === 0 || !segmentHitsRect(route[i - 1], point, rect));
+  const length = (route) => route.reduce((sum, point, i) => (i ? sum + distance(route[i - 1], point) : 0), 0);
+
+  const candidates = [
+    ...corners.map((c) => [c]),
+    ...corners.map((c, i) => [c, corners[(i + 1) % 4]]),
+    ...corners.map((c, i) => [c, corners[(i + 3) % 4]]),
+  ];
+
+  let best = null;
+  candidates.forEach((via) => {
+    const route = [a, ...via, b];
+    if (!clear(route)) return;
+    if (!best || length(route) < length(best)) best = route;
+  });
+  return best ? best.slice(1, -1) : [];
+}
+
+// Maximum number of detours added while routing around obstacles
+const MAX_DETOURS = 12;
+
+// ========================================
+// ========== GENERATORS =================
+// ========================================
+
+// Build a curved bezier path between two points
+export function buildPathD(start, end, animation, random = Math.random) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const len = Math.max(1, Math.hypot(dx, dy));
+  const nx = -dy / len;
+  const ny = dx / len;
+
+  // Add some randomness to make movements feel natural
+  const sway = animation.SWAY_AMOUNT * (0.85 + random() * 0.3);
+
+  // Calculate control points for bezier curve
+  const c1x = start.x + dx * animation.CONTROL_POINT_1 + nx * sway;
+  const c1y = start.y + dy * animation.CONTROL_POINT_1 + ny * sway;
+  const c2x = start.x + dx * animation.CONTROL_POINT_2 - nx * (sway * 0.65);
+  const c2y = start.y + dy * animation.CONTROL_POINT_2 - ny * (sway * 0.65);
+
+  return `M ${start.x},${start.y} C ${c1x},${c1y} ${c2x},${c2y} ${end.x},${end.y}`;
+}
+
+const generators = {
+  // One cubic bezier with random sway (the original movement)
+  sway: (start, end, { animation, random }) => buildPathD(start, end, animation, random),
+
+  // Leave `start` along `heading` (a unit vector; used when a move is
+  // retargeted mid-flight) and curve into `end`
+  continue: (start, end, options) => {
+    const { heading, animation } = options;
+    if (!heading) return generators.sway(start, end, options);
+    const reach = distance(start, end) * animation.CONTROL_POINT_1;
+    const c1x = start.x + heading.x * reach;
+    const c1y = start.y + heading.y * reach;
+    const c2x = start.x + (end.x - start.x) * animation.CONTROL_POINT_2;
+    const c2y = start.y + (end.y - start.y) * animation.CONTROL_POINT_2;
+    return `M ${start.x},${start.y} C ${c1x},${c1y} ${c2x},${c2y} ${end.x},${end.y}`;
+  },
+
+  straight: (start, end) => `M ${start.x},${start.y} L ${end.x},${end.y}`,
+
+  // Circular arc; `radius` defaults to the travel distance (a gentle bow),
+  // `clockwise: false` bends the other way
+  arc: (start, end, { radius, clockwise = true }) => {
+    const r = Math.max(radius ?? distance(start, end), distance(start, end) / 2);
+    return `M ${start.x},${start.y} A ${r},${r} 0 0 ${clockwise ? 1 : 0} ${end.x},${end.y}`;
+  },
+
+  // Smooth curve through `waypoints` ([{ x, y }, ...])
+  spline: (start, end, { waypoints = [] }) => splineThrough([start, ...waypoints, end]),
+
+  // Route around `obstacles` (selectors, elements or rects), keeping
+  // `padding` pixels clear, then smooth the route into a spline
+  avoid: (start, end, { obstacles, padding = 16 }) => {
+    // An obstacle around either end can't be avoided, so it is crossed
+    const inside = (point, r) =>
+      point.x > r.left && point.x < r.right && point.y > r.top && point.y < r.bottom;
+    const rects = resolveObstacleRects(obstacles).filter((rect) => {
+      const zone = inflate(rect, padding / 2);
+      return !inside(start, zone) && !inside(end, zone);
+    });
+    const route = [start, end];
+
+    for (let detours = 0; detours < MAX_DETOURS; detours++) {
+      let blocked = null;
+      for (let i = 0; i < route.length - 1 && !blocked; i++) {
+        const rect = rects.find((r) => segmentHitsRect(route[i], route[i + 1], r));
+        if (rect) blocked = { i, rect };
+      }
+      if (!blocked) break;
+
+      const { i, rect } = blocked;
+      const padded = inflate(rect, padding);
+      const corners = [
+        { x: padded.left, y: padded.top },
+        { x: padded.right, y: padded.top },
+        { x: padded.right, y: padded.bottom },
+        { x: padded.left, y: padded.bottom },
+      ];
+      const via = detourAround(route[i], route[i + 1], inflate(rect, padding / 2), corners);
+      // A waypoint boxed in by obstacles: give up and cross
+      if (!via.length) break;
+      route.splice(i + 1, 0, ...via);
+    }
+
+    return splineThrough(route);
+  },
+};
+
+// ========================================
+// ========== REGISTRY ===================
+// ========================================
+
+// Add (or replace) a named generator: fn(start, end, options) => path string
+export function registerPathGenerator(name, generator) {
+  if (typeof generator !== "function") {
+    throw new TypeError(`[Astro] Path generator "${name}" must be a function`);
+  }
+  generators[name] = generator;
+}
+
+export function hasPathGenerator(name) {
+  return typeof generators[name] === "function";
+}
+
+export function getPathGeneratorNames() {
+  return Object.keys(generators);
+}
+
+// Build the travel path for one movement. `path` is a generator name or a
+// generator function; unknown names fall back to "sway" with a warning.
+export function buildTravelPath(start, end, { path = "sway", ...options }) {
+  let generator = typeof path === "function" ? path : generators[path];
+  if (!generator) {
+    console.warn(`[Astro] Unknown travel path: ${path}. Available: ${getPathGeneratorNames().join(", ")}`);
+    generator = generators.sway;
+  }
+  return generator(start, end, options);
+}